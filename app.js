@@ -1,13 +1,151 @@
+// Vocabulary for the natural-language query parser
+const QUERY_VOCABULARY = {
+    aggregateWords: {
+        sum: 'SUM', total: 'SUM',
+        average: 'AVG', avg: 'AVG', mean: 'AVG',
+        count: 'COUNT',
+        maximum: 'MAX', max: 'MAX', highest: 'MAX', largest: 'MAX', biggest: 'MAX',
+        minimum: 'MIN', min: 'MIN', lowest: 'MIN', smallest: 'MIN',
+        median: 'MEDIAN'
+    },
+    // Ordered longest first so "greater than or equal to" beats "greater than"
+    operators: [
+        ['greater than or equal to', '>='], ['more than or equal to', '>='], ['no less than', '>='], ['at least', '>='],
+        ['less than or equal to', '<='], ['no more than', '<='], ['at most', '<='],
+        ['not equal to', '!='], ['other than', '!='],
+        ['starts with', 'starts'], ['starting with', 'starts'], ['start with', 'starts'],
+        ['begins with', 'starts'], ['beginning with', 'starts'], ['begin with', 'starts'],
+        ['ends with', 'ends'], ['ending with', 'ends'], ['end with', 'ends'],
+        ['one of', 'in'], ['any of', 'in'],
+        ['greater than', '>'], ['more than', '>'], ['larger than', '>'], ['higher than', '>'], ['bigger than', '>'],
+        ['less than', '<'], ['fewer than', '<'], ['lower than', '<'], ['smaller than', '<'],
+        ['equal to', '='], ['equals', '='], ['equal', '='],
+        ['over', '>'], ['above', '>'], ['exceeds', '>'], ['exceeding', '>'],
+        ['under', '<'], ['below', '<'],
+        ['before', '<'], ['after', '>'], ['since', '>='], ['until', '<='],
+        ['between', 'between'], ['in', 'in'], ['during', 'in'],
+        ['contains', 'contains'], ['containing', 'contains'], ['contain', 'contains'],
+        ['includes', 'contains'], ['including', 'contains'], ['like', 'contains'], ['matching', 'contains'],
+        ['is', '='], ['are', '='], ['was', '='], ['were', '=']
+    ],
+    looseOperators: ['is', 'are', 'was', 'were'],
+    negations: ['not', 'no', 'except', 'exclude', 'excluding', 'without', "isn't", "aren't", "doesn't", "don't", "wasn't", 'never'],
+    filterStarters: ['where', 'whose', 'having', 'with', 'without', 'except', 'exclude', 'excluding', 'when', 'if', 'for'],
+    groupStarters: ['by', 'per', 'each', 'every'],
+    sortStarters: ['sort', 'sorted', 'order', 'ordered', 'rank', 'ranked', 'arrange', 'arranged'],
+    limitStarters: ['top', 'first', 'bottom', 'limit'],
+    descending: ['desc', 'descending', 'highest', 'largest', 'biggest', 'most', 'decreasing', 'reverse'],
+    ascending: ['asc', 'ascending', 'lowest', 'smallest', 'least', 'increasing', 'alphabetical', 'alphabetically'],
+    timeGrains: {
+        day: 'day', days: 'day', daily: 'day',
+        week: 'week', weeks: 'week', weekly: 'week',
+        month: 'month', months: 'month', monthly: 'month',
+        quarter: 'quarter', quarters: 'quarter', quarterly: 'quarter',
+        year: 'year', years: 'year', yearly: 'year', annual: 'year', annually: 'year'
+    },
+    grainAdjectives: ['daily', 'weekly', 'monthly', 'quarterly', 'yearly', 'annual', 'annually'],
+    trendWords: ['trend', 'trends', 'trending', 'timeline', 'timeseries'],
+    chartWords: ['chart', 'graph', 'plot', 'bar', 'visualize', 'visualise'],
+    // "pivot amount by region across category" puts category in the pivot's columns
+    pivotWords: ['pivot', 'crosstab', 'crosstabs'],
+    rowWords: ['rows', 'records', 'entries', 'items', 'results', 'lines'],
+    emptyWords: ['empty', 'blank', 'missing', 'null', 'nothing', 'unset', 'none'],
+    relativeDateWords: ['last', 'past', 'previous', 'this', 'current', 'today', 'yesterday', 'ytd'],
+    dateUnits: ['day', 'days', 'week', 'weeks', 'month', 'months', 'quarter', 'quarters', 'year', 'years'],
+    prepositions: ['in', 'of', 'on', 'from', 'within'],
+    // Openers that refine the previous question rather than ask a new one
+    followUpStarters: ['now', 'only', 'just', 'also', 'and', 'but', 'instead', 'then', 'same', 'sort', 'order',
+        'break', 'split', 'make', 'change', 'switch', 'use', 'filter', 'limit', 'exclude', 'remove', 'drop', 'reverse'],
+    questionWords: ['and', 'or', 'me', 'all', 'many', 'much', 'unique', 'distinct', 'number', 'per', 'vs', 'versus',
+        'now', 'only', 'just', 'it', 'that', 'those', 'them', 'these', 'there', 'instead', 'too', 'also', 'please'],
+    // Words that mean the same thing in column names; "qty" finds Quantity and "revenue" finds Sales
+    columnSynonyms: [
+        ['revenue', 'sales', 'turnover', 'income'], ['qty', 'quantity', 'units'], ['cust', 'customer', 'client'],
+        ['prod', 'product', 'item'], ['cat', 'category', 'type', 'kind', 'class'], ['desc', 'description'],
+        ['amt', 'amount'], ['num', 'no', 'number', 'nbr'], ['dept', 'department'], ['emp', 'employee', 'staff'],
+        ['addr', 'address'], ['tel', 'phone', 'telephone', 'mobile'], ['org', 'organization', 'organisation', 'company'],
+        ['loc', 'location', 'place'], ['pct', 'percent', 'percentage'], ['name', 'title'], ['status', 'state'],
+        ['region', 'area', 'territory'], ['country', 'nation'], ['id', 'identifier'], ['dt', 'date'],
+        ['created', 'creation'], ['price', 'cost'], ['city', 'town'], ['email', 'mail']
+    ],
+    // Words too vague to stand for a column on their own
+    genericColumnWords: ['id', 'no', 'num', 'number', 'code', 'key', 'usd', 'eur', 'gbp', 'total', 'value'],
+    freshQuestionStarters: ['show', 'list', 'find', 'search', 'give', 'get', 'display', 'what', "what's", 'how', 'count', 'which'],
+    fillerWords: ['the', 'a', 'an', 'to', 'of', 'value', 'values', 'equal']
+};
+
+// Saved sessions live in this IndexedDB database, in the browser only
+const SESSION_DB_NAME = 'dataExplorer';
+
+// What a pivot value can show; "% of total" is a sum (or row count) shared out over the grand total
+const PIVOT_AGGREGATES = {
+    SUM: 'Sum', AVG: 'Average', MIN: 'Min', MAX: 'Max', COUNT: 'Count',
+    COUNT_DISTINCT: 'Count distinct', MEDIAN: 'Median', PERCENT: '% of total'
+};
+
+// Exported reports carry their own styles, since they are opened without this page
+const REPORT_EXPORT_STYLES = `
+body { margin: 0; background: #f8fafc; color: #1e293b; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; }
+.report { max-width: 960px; margin: 0 auto; padding: 32px 24px; }
+h1, h2, h3, h4 { line-height: 1.25; margin: 1.5em 0 0.5em; }
+code { background: #f1f5f9; padding: 2px 6px; border-radius: 4px; font-size: 0.875em; }
+pre { background: #f1f5f9; padding: 12px; border-radius: 6px; overflow-x: auto; }
+blockquote { margin: 1em 0; padding-left: 16px; border-left: 4px solid #cbd5e1; color: #64748b; }
+img { max-width: 100%; }
+table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+th, td { padding: 4px 8px; border-bottom: 1px solid #e2e8f0; text-align: left; }
+.numeric { text-align: right; }
+.metrics-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 16px; margin: 24px 0; }
+.metric-card { background: #fff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 24px; text-align: center; }
+.metric-value { font-size: 2.5rem; font-weight: 700; color: #3b82f6; line-height: 1; }
+.metric-label { color: #64748b; font-size: 0.875rem; margin-top: 8px; text-transform: uppercase; letter-spacing: 0.05em; }
+.report-sql summary { cursor: pointer; color: #64748b; font-size: 0.875rem; }
+.report-error { padding: 8px 12px; border-radius: 6px; background: #fef2f2; color: #b91c1c; }
+.report-missing { color: #b91c1c; }
+.chart-note, .report-footer { color: #64748b; font-size: 0.8125rem; }
+`;
+
 class DataExplorer {
     constructor() {
         this.initializeElements();
         this.setupEventListeners();
         this.currentData = null;
-        this.db = null;
-        this.SQL = null;
+        // Each uploaded file is a table in the same database; links are the key columns they share
+        this.datasets = [];
+        this.relationships = [];
+        // SQLite runs in worker.js; requests wait here for its answer, keyed by id
+        this.worker = null;
+        this.requests = {};
+        this.nextRequestId = 1;
+        // The database as of the last change, for starting over after a cancel
+        this.snapshot = null;
+        // Column profiles by table name, computed on upload or from the Profile button
+        this.tableProfiles = {};
         this.pipeline = null;
         this.modelLoaded = false;
-        this.initializeSQL();
+        // The last query that ran, so follow-ups like "now only for Europe" can refine it
+        this.conversation = { lastQuery: null };
+        this.aliases = {};
+        this.sqlMode = false;
+        this.sqlEditor = null;
+        // The open session: its id in IndexedDB, the chat so far and the query behind the results on screen
+        this.sessionId = null;
+        this.sessionStore = null;
+        this.messages = [];
+        this.lastResult = null;
+        // Every question asked in this session, and the named queries kept across sessions
+        this.history = [];
+        this.historyRecall = null;
+        this.library = this.loadLibrary();
+        // Pinned results and the filters applied to all of them; tile charts are kept apart from the results chart
+        this.dashboard = this.emptyDashboard();
+        this.tileCharts = {};
+        // The report's markdown source, saved with the session
+        this.report = '';
+        this.reportCharts = [];
+        this.welcomeMessage = this.chatMessages.innerHTML;
+        this.startWorker();
+        this.loadLatestSession();
     }
 
     initializeElements() {
@@ -21,21 +159,109 @@ class DataExplorer {
         this.chatInput = document.getElementById('chatInput');
         this.sendBtn = document.getElementById('sendBtn');
         this.resultsSection = document.getElementById('resultsSection');
+        this.profileSection = document.getElementById('profileSection');
+        this.profileTitle = document.getElementById('profileTitle');
+        this.profileContainer = document.getElementById('profileContainer');
+        this.profileCloseBtn = document.getElementById('profileCloseBtn');
+        this.sessionPanel = document.getElementById('sessionPanel');
+        this.sessionList = document.getElementById('sessionList');
+        this.storageUsage = document.getElementById('storageUsage');
+        this.newSessionBtn = document.getElementById('newSessionBtn');
+        this.forgetBtn = document.getElementById('forgetBtn');
         this.resultsContainer = document.getElementById('resultsContainer');
+        this.dashboardSection = document.getElementById('dashboardSection');
+        this.dashboardFilters = document.getElementById('dashboardFilters');
+        this.dashboardGrid = document.getElementById('dashboardGrid');
+        this.dashboardRefreshBtn = document.getElementById('dashboardRefreshBtn');
+        this.dashboardClearBtn = document.getElementById('dashboardClearBtn');
+        this.reportBtn = document.getElementById('reportBtn');
+        this.reportSection = document.getElementById('reportSection');
+        this.reportEditor = document.getElementById('reportEditor');
+        this.reportPreview = document.getElementById('reportPreview');
+        this.reportRunBtn = document.getElementById('reportRunBtn');
+        this.reportExportBtn = document.getElementById('reportExportBtn');
+        this.reportCloseBtn = document.getElementById('reportCloseBtn');
+        this.aliasBtn = document.getElementById('aliasBtn');
+        this.aliasEditor = document.getElementById('aliasEditor');
+        this.historyBtn = document.getElementById('historyBtn');
+        this.historyPanel = document.getElementById('historyPanel');
+        this.sqlModeBtn = document.getElementById('sqlModeBtn');
+        this.sqlEditorContainer = document.getElementById('sqlEditorContainer');
+        this.sqlEditorInput = document.getElementById('sqlEditor');
+        this.sqlError = document.getElementById('sqlError');
+        this.sendLabel = document.getElementById('sendLabel');
+        this.importDialog = document.getElementById('importDialog');
+        this.datasetPanel = document.getElementById('datasetPanel');
+        this.datasetList = document.getElementById('datasetList');
+        this.datasetLinks = document.getElementById('datasetLinks');
+        this.downloadDbBtn = document.getElementById('downloadDbBtn');
+        this.loadingText = document.getElementById('loadingText');
+        this.loadingProgress = document.getElementById('loadingProgress');
+        this.cancelBtn = document.getElementById('cancelBtn');
     }
 
-    async initializeSQL() {
-        try {
-            this.SQL = await initSqlJs({
-                locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/${file}`
+    startWorker() {
+        this.worker = new Worker('worker.js');
+        this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        this.callWorker('init', { snapshot: this.snapshot, datasets: this.datasets })
+            .then(() => console.log('SQL.js initialized'))
+            .catch(error => {
+                if (error.code === 'CANCELLED') return;
+                console.error('Failed to initialize SQL.js:', error);
+                this.showStatus('Failed to initialize database engine', 'error');
             });
-            console.log('SQL.js initialized');
-        } catch (error) {
-            console.error('Failed to initialize SQL.js:', error);
-            this.showStatus('Failed to initialize database engine', 'error');
+    }
+
+    callWorker(type, payload = {}, onProgress = null) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests[id] = { resolve, reject, onProgress };
+            this.worker.postMessage({ id, type, ...payload });
+            this.cancelBtn.hidden = false;
+        });
+    }
+
+    handleWorkerMessage({ id, result, error, progress }) {
+        const request = this.requests[id];
+        if (!request) return;
+        if (progress) {
+            if (request.onProgress) request.onProgress(progress);
+            return;
+        }
+
+        delete this.requests[id];
+        this.cancelBtn.hidden = Object.keys(this.requests).length === 0;
+        if (error) {
+            request.reject(Object.assign(new Error(error.message), { code: error.code }));
+        } else {
+            request.resolve(result);
         }
     }
 
+    cancelWork() {
+        // sql.js can't stop a statement half way, so the worker goes and a new one starts from the last snapshot
+        const requests = Object.values(this.requests);
+        if (!requests.length) return;
+
+        this.worker.terminate();
+        this.requests = {};
+        this.startWorker();
+        requests.forEach(request => request.reject(Object.assign(new Error('Cancelled'), { code: 'CANCELLED' })));
+    }
+
+    applyWorkerState({ datasets, relationships, snapshot }) {
+        this.datasets = datasets;
+        this.relationships = relationships;
+        this.snapshot = snapshot;
+        // Any change can make a profile stale
+        this.tableProfiles = {};
+        this.profileSection.hidden = true;
+        this.updateWorkspace();
+        this.scheduleSessionSave({ database: true });
+        // Tiles show the data as it is now
+        if (this.dashboard.tiles.length) this.renderDashboard();
+    }
+
     async initializeAI() {
         // AI model removed - using smart pattern matching instead
         return;
@@ -58,9 +284,41 @@ class DataExplorer {
                 this.sendMessage();
             }
         });
+        // Arrow keys don't fire keypress; up and down step through earlier questions
+        this.chatInput.addEventListener('keydown', this.recallQuestion.bind(this));
 
         // Auto-resize textarea
         this.chatInput.addEventListener('input', this.autoResizeTextarea.bind(this));
+        this.chatInput.addEventListener('input', () => { this.historyRecall = null; });
+        this.aliasBtn.addEventListener('click', this.toggleAliasEditor.bind(this));
+        this.historyBtn.addEventListener('click', this.toggleHistoryPanel.bind(this));
+        this.sqlModeBtn.addEventListener('click', () => this.toggleSqlMode());
+        this.cancelBtn.addEventListener('click', () => this.cancelWork());
+        this.downloadDbBtn.addEventListener('click', () => this.downloadDatabase());
+        this.profileCloseBtn.addEventListener('click', () => { this.profileSection.hidden = true; });
+        this.newSessionBtn.addEventListener('click', () => this.startNewSession());
+        this.forgetBtn.addEventListener('click', () => this.forgetEverything());
+        this.dashboardRefreshBtn.addEventListener('click', () => this.renderDashboard());
+        this.reportBtn.addEventListener('click', () => this.toggleReport());
+        this.reportRunBtn.addEventListener('click', () => this.runReport());
+        this.reportExportBtn.addEventListener('click', () => this.exportReport());
+        this.reportCloseBtn.addEventListener('click', () => { this.reportSection.hidden = true; });
+        this.reportEditor.addEventListener('input', () => {
+            this.report = this.reportEditor.value;
+            this.scheduleSessionSave();
+        });
+        this.reportEditor.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.runReport();
+            }
+        });
+        this.dashboardClearBtn.addEventListener('click', () => {
+            if (!window.confirm('Remove every tile from the dashboard?')) return;
+            this.dashboard = this.emptyDashboard();
+            this.scheduleSessionSave();
+            this.renderDashboard();
+        });
     }
 
     handleDragOver(e) {
@@ -84,26 +342,46 @@ class DataExplorer {
     }
 
     handleFileSelect() {
-        const file = this.fileInput.files[0];
-        if (file) {
+        const files = Array.from(this.fileInput.files);
+        if (files.length) {
             this.uploadBtn.style.display = 'inline-block';
-            this.uploadArea.querySelector('.upload-text').textContent = `Selected: ${file.name}`;
+            this.uploadArea.querySelector('.upload-text').textContent = `Selected: ${files.map(file => file.name).join(', ')}`;
         }
     }
 
     async uploadFile() {
-        const file = this.fileInput.files[0];
-        if (!file) return;
+        const files = Array.from(this.fileInput.files);
+        if (!files.length) return;
 
         this.showLoading(true);
         this.hideStatus();
 
         try {
-            const data = await this.parseFile(file);
-            await this.createTableFromData(data, file.name);
+            const loaded = [];
+            let lastTable = null;
+            for (const file of files) {
+                const tables = await this.parseFile(file);
+                const baseName = file.name.replace(/\.[^.]+$/, '');
+                for (const table of tables) {
+                    // Several sheets from one workbook become "workbook_sheet" tables
+                    const name = table.name || (tables.length > 1 ? `${baseName} ${table.sheet}` : baseName);
+                    const { tables: created, skipped } = await this.importTable(table, name, table.sheet ? `${file.name} › ${table.sheet}` : file.name);
+                    created.forEach(tableName => {
+                        const dataset = this.datasets.find(d => d.tableName === tableName);
+                        lastTable = tableName;
+                        loaded.push(`${dataset.rowCount.toLocaleString()} rows with ${dataset.schema.length} columns as "${tableName}"`);
+                    });
+                    if (skipped && skipped.length) this.reportSkippedRows(file.name, skipped);
+                }
+            }
+            if (!loaded.length) {
+                return;
+            }
 
-            this.showStatus(`✅ Successfully loaded ${data.length.toLocaleString()} rows with ${this.currentData.schema.length} columns`, 'success');
+            await this.showProfile(lastTable);
+            this.showStatus(`✅ Successfully loaded ${loaded.join('; ')}`, 'success');
             this.chatSection.style.display = 'block';
+            this.aliasEditor.hidden = true;
             this.chatInput.focus();
 
             // Show column info after chat section is visible
@@ -113,704 +391,6163 @@ class DataExplorer {
             }, 500);
 
         } catch (error) {
-            this.showStatus(`Upload failed: ${error.message}`, 'error');
+            if (error.code === 'CANCELLED') {
+                this.showStatus('Import cancelled. Tables loaded before it are still there.', 'warning');
+            } else {
+                this.showStatus(`Upload failed: ${error.message}`, 'error');
+            }
         } finally {
             this.showLoading(false);
         }
     }
 
+    async importTable(table, name, filename) {
+        // CSV files and SQLite databases go to the worker as they are and are read there; other formats arrive as rows
+        const onProgress = progress => this.showProgress(`Importing ${filename}`, progress);
+        let result;
+        if (table.csv) {
+            result = await this.callWorker('importCSV', { file: table.csv, options: table.options, name, filename }, onProgress);
+        } else if (table.database) {
+            result = await this.callWorker('importDatabase', { file: table.database, filename }, onProgress);
+        } else {
+            result = await this.callWorker('importRecords', { records: table.data, name, filename }, onProgress);
+        }
+        this.applyWorkerState(result);
+        return result;
+    }
+
     async parseFile(file) {
+        // Each file yields one or more tables: rows, or a CSV or database file for the worker to read. Only workbooks have sheet names
         const ext = file.name.split('.').pop().toLowerCase();
+        const baseName = file.name.replace(/\.[^.]+$/, '');
 
         if (ext === 'csv') {
             return this.parseCSV(file);
+        } else if (ext === 'tsv' || ext === 'tab') {
+            return this.parseCSV(file, '\t');
         } else if (ext === 'xlsx' || ext === 'xls') {
             return this.parseExcel(file);
+        } else if (ext === 'json') {
+            return this.recordsToTables(this.parseJSON(await file.text()), baseName);
+        } else if (ext === 'ndjson' || ext === 'jsonl') {
+            return this.recordsToTables(this.parseNDJSON(await file.text()), baseName);
+        } else if (ext === 'parquet') {
+            return this.recordsToTables(await this.parseParquet(file), baseName);
+        } else if (ext === 'sqlite' || ext === 'sqlite3' || ext === 'db') {
+            return [{ database: file, sheet: null }];
         } else {
-            throw new Error('Unsupported file type. Please upload CSV or Excel files.');
+            throw new Error('Unsupported file type. Please upload CSV, TSV, Excel, JSON, NDJSON, Parquet or SQLite files.');
         }
     }
 
-    parseCSV(file) {
-        return new Promise((resolve, reject) => {
-            Papa.parse(file, {
-                header: true,
-                skipEmptyLines: true,
-                complete: (results) => {
-                    if (results.errors.length > 0) {
-                        reject(new Error('CSV parsing error: ' + results.errors[0].message));
-                    } else {
-                        resolve(results.data);
-                    }
-                },
-                error: reject
-            });
-        });
-    }
+    async parseCSV(file, delimiter = '') {
+        // Only the start of the file is read here, for the preview; the worker streams the rest
+        const bytes = new Uint8Array(await file.slice(0, 1024 * 1024).arrayBuffer());
+        const encoding = this.detectEncoding(bytes);
+        const detected = { encoding, ...this.detectCSVOptions(this.decodeText(bytes, encoding, 64 * 1024), delimiter) };
 
-    async parseExcel(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-                    const sheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[sheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(worksheet);
-                    resolve(jsonData);
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            reader.onerror = reject;
-            reader.readAsArrayBuffer(file);
-        });
+        const options = await this.previewCSV(file.name, bytes, detected);
+        if (!options) return [];
+        return [{ csv: file, options, sheet: null }];
     }
 
-    async createTableFromData(data, filename) {
-        if (!data || data.length === 0) {
-            throw new Error('No data found in file');
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+        // Anything that isn't valid UTF-8 is most likely a Western Windows/Latin-1 export
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, 1024 * 1024), { stream: true });
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1252';
         }
+    }
 
-        // Create new database
-        this.db = new this.SQL.Database();
+    decodeText(bytes, encoding, limit = null) {
+        const slice = limit ? bytes.subarray(0, limit) : bytes;
+        return new TextDecoder(encoding).decode(slice, { stream: Boolean(limit) });
+    }
 
-        const tableName = 'user_data';
-        const columns = Object.keys(data[0]);
+    detectCSVOptions(sample, delimiter = '') {
+        // Guesses for the preview; the user can change each one
+        const singleQuoted = (sample.match(/(^|[,;\t|])'/gm) || []).length;
+        const doubleQuoted = (sample.match(/(^|[,;\t|])"/gm) || []).length;
+        const quoteChar = singleQuoted > doubleQuoted ? "'" : '"';
+        const guess = Papa.parse(sample, { quoteChar, preview: 50, delimiter, delimitersToGuess: [',', ';', '\t', '|'] });
+        const rows = guess.data.filter(row => row.some(cell => cell.trim()));
+        const chosen = guess.meta.delimiter || ',';
 
-        this.currentData = {
-            tableName,
-            schema: columns,
-            rowCount: data.length
-        };
+        // A first row of labels over rows with numbers or dates is a header; all-text files usually have one too
+        const first = rows[0] || [];
+        const header = first.length > 0 && first.every(cell => this.parseNumber(cell) === null && this.parseDate(cell) === null);
 
-        // Create table
-        const columnDefs = columns.map(col => `"${col}" TEXT`).join(', ');
-        this.db.run(`CREATE TABLE ${tableName} (${columnDefs})`);
+        const cells = rows.slice(1).flat();
+        const decimalComma = chosen !== ',' && cells.some(cell => /^-?\d+,\d+$/.test(cell.trim())) &&
+            !cells.some(cell => /^-?\d+\.\d{1,2}$/.test(cell.trim()));
 
-        // Insert data
-        const placeholders = columns.map(() => '?').join(', ');
-        const stmt = this.db.prepare(`INSERT INTO ${tableName} VALUES (${placeholders})`);
+        return { delimiter: chosen, quoteChar, header, decimalComma };
+    }
 
-        for (const row of data) {
-            const values = columns.map(col => row[col] || null);
-            stmt.run(values);
-        }
-        stmt.free();
+    csvToRecords(text, options) {
+        const result = Papa.parse(text, { delimiter: options.delimiter, quoteChar: options.quoteChar, skipEmptyLines: 'greedy' });
+        const reader = this.csvRowReader(options);
+        return { data: reader.read(result.data, result.errors), skipped: reader.skipped };
     }
 
-    async sendMessage() {
-        const question = this.chatInput.value.trim();
-        if (!question) return;
+    csvRowReader(options) {
+        // Takes parsed rows a chunk at a time, so the worker can stream a large file through it
+        const used = new Set();
+        const skipped = [];
+        let names = null;
+        let seen = 0;
+
+        const read = (rows, errors = []) => {
+            // Rows that don't fit are set aside and reported instead of failing the whole file
+            const problems = {};
+            errors.forEach(error => {
+                if (error.row !== undefined) problems[error.row] = error.message;
+            });
+            const data = [];
+            rows.forEach((row, i) => {
+                const index = seen++;
+                if (!names) {
+                    names = row.map((cell, c) => {
+                        const label = options.header ? String(cell || '').trim() : '';
+                        return this.uniqueColumnName(label || `Column ${c + 1}`, used);
+                    });
+                    if (options.header) return;
+                }
+                const problem = problems[i] || (row.length !== names.length ? `Expected ${names.length} fields but found ${row.length}` : null);
+                if (problem) {
+                    skipped.push({ row: index + 1, reason: problem, content: row.join(options.delimiter) });
+                    return;
+                }
+                const record = {};
+                names.forEach((name, c) => {
+                    record[name] = options.decimalComma ? this.fromDecimalComma(row[c]) : row[c];
+                });
+                data.push(record);
+            });
+            return data;
+        };
 
-        // Add user message to chat
-        this.addMessage(question, 'user');
-        this.chatInput.value = '';
+        return { read, skipped };
+    }
 
-        this.showLoading(true);
+    fromDecimalComma(value) {
+        // "1.234,50", "12,5 %" and "€ 3,20" become numbers the type detection understands
+        const match = String(value).trim().match(/^([$€£¥₹]?\s*-?)(\d{1,3}(?:\.\d{3})+(?:,\d+)?|\d+,\d+)(\s*[%$€£¥₹]?)$/);
+        return match ? `${match[1]}${match[2].replace(/\./g, '').replace(',', '.')}${match[3]}` : value;
+    }
 
-        try {
-            const sqlQuery = await this.generateSQLFromQuestion(question);
-            const results = this.executeQuery(sqlQuery);
+    uniqueColumnName(name, used) {
+        let unique = name;
+        for (let i = 2; used.has(unique.toLowerCase()); i++) {
+            unique = `${name}_${i}`;
+        }
+        used.add(unique.toLowerCase());
+        return unique;
+    }
 
-            let responseMsg = `Found ${results.length.toLocaleString()} results`;
+    previewCSV(filename, bytes, detected) {
+        // Resolves with the chosen options, or null when the import is cancelled
+        return new Promise(resolve => {
+            this.showLoading(false);
+            this.importDialog.innerHTML = '';
+            const options = { ...detected };
+
+            const intro = document.createElement('p');
+            intro.className = 'alias-intro';
+            intro.textContent = `Check how ${filename} will be read. The settings below were detected automatically.`;
+            this.importDialog.appendChild(intro);
+
+            const controls = document.createElement('div');
+            controls.className = 'import-options';
+            const addSelect = (label, key, choices) => {
+                const wrapper = document.createElement('label');
+                wrapper.textContent = `${label} `;
+                const select = document.createElement('select');
+                select.className = 'alias-input';
+                choices.forEach(([value, text]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    select.appendChild(option);
+                });
+                select.value = options[key];
+                select.addEventListener('change', () => {
+                    options[key] = select.value;
+                    renderPreview();
+                });
+                wrapper.appendChild(select);
+                controls.appendChild(wrapper);
+            };
+            const addCheckbox = (label, key) => {
+                const wrapper = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = options[key];
+                checkbox.addEventListener('change', () => {
+                    options[key] = checkbox.checked;
+                    renderPreview();
+                });
+                wrapper.appendChild(checkbox);
+                wrapper.appendChild(document.createTextNode(` ${label}`));
+                controls.appendChild(wrapper);
+            };
+            addSelect('Delimiter', 'delimiter', [[',', 'Comma'], [';', 'Semicolon'], ['\t', 'Tab'], ['|', 'Pipe']]);
+            addSelect('Quote', 'quoteChar', [['"', 'Double quote "'], ["'", "Single quote '"]]);
+            addSelect('Encoding', 'encoding', [['utf-8', 'UTF-8'], ['windows-1252', 'Latin-1 / Windows-1252'], ['utf-16le', 'UTF-16 LE'], ['utf-16be', 'UTF-16 BE']]);
+            addCheckbox('First row is the header', 'header');
+            addCheckbox('Decimal comma (1.234,56)', 'decimalComma');
+            this.importDialog.appendChild(controls);
+
+            const preview = document.createElement('div');
+            preview.className = 'import-preview';
+            this.importDialog.appendChild(preview);
+
+            const renderPreview = () => {
+                // The first few rows only; the whole file is read on import
+                const sample = this.decodeText(bytes, options.encoding, 64 * 1024).split(/\r?\n/).slice(0, 12).join('\n');
+                const { data, skipped } = this.csvToRecords(sample, options);
+                const columns = data.length ? Object.keys(data[0]) : [];
+
+                const table = document.createElement('table');
+                table.className = 'results-table';
+                const head = document.createElement('tr');
+                columns.forEach(col => {
+                    const th = document.createElement('th');
+                    th.textContent = col;
+                    head.appendChild(th);
+                });
+                table.appendChild(head);
+                data.slice(0, 8).forEach(record => {
+                    const tr = document.createElement('tr');
+                    columns.forEach(col => {
+                        const td = document.createElement('td');
+                        td.textContent = record[col];
+                        tr.appendChild(td);
+                    });
+                    table.appendChild(tr);
+                });
+
+                preview.innerHTML = '';
+                preview.appendChild(table);
+                if (skipped.length) {
+                    const note = document.createElement('p');
+                    note.className = 'sheet-preview';
+                    note.textContent = `${skipped.length} of the first rows don't fit these columns and would be skipped.`;
+                    preview.appendChild(note);
+                }
+            };
+            renderPreview();
 
-            if (question.toLowerCase().includes('chart') || question.toLowerCase().includes('bar')) {
-                responseMsg = `Created visualization with ${results.length.toLocaleString()} data points`;
-            }
+            const finish = (chosen) => {
+                this.importDialog.hidden = true;
+                this.importDialog.innerHTML = '';
+                this.showLoading(Boolean(chosen));
+                resolve(chosen);
+            };
+
+            const actions = document.createElement('div');
+            actions.className = 'alias-actions';
+            const importButton = document.createElement('button');
+            importButton.type = 'button';
+            importButton.className = 'btn';
+            importButton.textContent = 'Import';
+            importButton.addEventListener('click', () => finish(options));
+            const cancel = document.createElement('button');
+            cancel.type = 'button';
+            cancel.className = 'btn btn-secondary';
+            cancel.textContent = 'Cancel';
+            cancel.addEventListener('click', () => finish(null));
+            actions.appendChild(importButton);
+            actions.appendChild(cancel);
+            this.importDialog.appendChild(actions);
+
+            this.importDialog.hidden = false;
+            importButton.focus();
+        });
+    }
 
-            this.addMessage(responseMsg, 'ai');
+    reportSkippedRows(filename, skipped) {
+        const lines = [['row', 'problem', 'content'], ...skipped.map(entry => [entry.row, entry.reason, entry.content])];
+        const csv = Papa.unparse(lines);
+        this.addClarification({
+            prompt: `⚠️ ${skipped.length.toLocaleString()} ${skipped.length === 1 ? 'row' : 'rows'} of ${filename} didn't match the columns and ${skipped.length === 1 ? 'was' : 'were'} left out. Everything else was imported.`,
+            choices: [{
+                label: 'Download error list',
+                repeatable: true,
+                action: () => this.downloadFile(`${filename.replace(/\.[^.]+$/, '')}-errors.csv`, csv, 'text/csv')
+            }]
+        });
+    }
 
-            // Show results table
-            this.displayResults(results, sqlQuery);
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 
+    parseJSON(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
         } catch (error) {
-            console.error('Error in sendMessage:', error);
-            this.addMessage(`Sorry, I encountered an error: ${error.message}`, 'ai');
-        } finally {
-            this.showLoading(false);
+            throw new Error('JSON parsing error: ' + error.message);
         }
-    }
+        if (Array.isArray(parsed)) return parsed;
 
-    async generateSQLFromQuestion(question) {
-        // For now, let's focus on making pattern matching work perfectly
-        // The AI model can be added back later once pattern matching is solid
-        return this.generateSQLWithPatterns(question);
+        // APIs often wrap the rows: {"data": [...], "meta": {...}}
+        const wrapped = parsed && typeof parsed === 'object'
+            ? Object.values(parsed).find(value => Array.isArray(value) && value.some(item => item && typeof item === 'object'))
+            : null;
+        return wrapped || [parsed];
     }
 
-    async generateSQLWithAI(question) {
-        const prompt = `Translate to SQL: "${question}" for table user_data with columns ${this.currentData.schema.join(', ')}`;
-
-        const result = await this.pipeline(prompt, {
-            max_new_tokens: 50,
-            temperature: 0.1
+    parseNDJSON(text) {
+        const records = [];
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                throw new Error(`NDJSON parsing error on line ${i + 1}: ${error.message}`);
+            }
         });
+        return records;
+    }
 
-        let sql = result[0].generated_text.trim();
+    async parseParquet(file) {
+        // Loaded on demand so CSV-only sessions don't pay for it
+        const { parquetReadObjects } = await import('https://cdn.jsdelivr.net/npm/hyparquet@1.31.2/+esm');
+        const rows = await parquetReadObjects({ file: await file.arrayBuffer() });
+        return rows.map(row => this.fromBigInt(row));
+    }
 
-        // Clean up the response
-        sql = sql.replace(/^(SELECT|select)/, 'SELECT');
-        if (!sql.toLowerCase().includes('from')) {
-            sql += ` FROM user_data`;
+    fromBigInt(value) {
+        // 64-bit integers arrive as BigInt; keep them exact as text when a double can't hold them
+        if (typeof value === 'bigint') {
+            return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(value) : String(value);
         }
-
-        return sql;
+        if (Array.isArray(value)) return value.map(item => this.fromBigInt(item));
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            const converted = {};
+            Object.entries(value).forEach(([key, item]) => { converted[key] = this.fromBigInt(item); });
+            return converted;
+        }
+        return value;
     }
 
-    generateSQLWithPatterns(question) {
-        const q = question.toLowerCase();
-        const tableName = 'user_data';
-        const columns = this.currentData.schema;
-
+    recordsToTables(records, baseName) {
+        // Nested objects become dotted columns; lists can become child tables linked by record_id
+        const rows = records.map(record => record && typeof record === 'object' && !Array.isArray(record) ? record : { value: record });
+        const explode = rows.some(record => this.containsList(record)) &&
+            window.confirm('Some fields hold lists. Import each list as its own table, linked by record_id? Choose Cancel to keep each list as text in a single column.');
+
+        const children = {};
+        const parents = rows.map((record, index) => {
+            const lists = explode ? {} : null;
+            const flat = this.flattenRecord(record, lists);
+            if (!explode) return flat;
+
+            Object.entries(lists).forEach(([key, items]) => {
+                children[key] = children[key] || [];
+                items.forEach(item => {
+                    const fields = item && typeof item === 'object' && !Array.isArray(item)
+                        ? this.flattenRecord(item)
+                        : { [key.split('.').pop()]: Array.isArray(item) ? JSON.stringify(item) : item };
+                    children[key].push({ record_id: index + 1, ...fields });
+                });
+            });
+            return { record_id: index + 1, ...flat };
+        });
 
+        return [
+            { data: this.normalizeRecords(parents), sheet: null, name: baseName },
+            ...Object.entries(children).filter(([, items]) => items.length).map(([key, items]) => ({
+                data: this.normalizeRecords(items), sheet: key, name: `${baseName} ${key}`
+            }))
+        ];
+    }
 
-        // Enhanced pattern matching for Evidence-style queries
+    containsList(value) {
+        if (Array.isArray(value)) return true;
+        return Boolean(value) && typeof value === 'object' && !(value instanceof Date) && Object.values(value).some(item => this.containsList(item));
+    }
 
-        // Chart-specific patterns (highest priority)
-        if (q.includes('chart') || q.includes('graph') || q.includes('plot')) {
-            const column = this.findColumnInQuestion(q);
-            if (column) {
-                return `SELECT "${column}", COUNT(*) as count FROM ${tableName} GROUP BY "${column}" ORDER BY count DESC`;
+    flattenRecord(record, lists = null, prefix = '', flat = {}) {
+        Object.entries(record).forEach(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (Array.isArray(value)) {
+                if (lists) {
+                    lists[name] = value;
+                } else {
+                    flat[name] = value.every(item => item === null || typeof item !== 'object') ? value.join(', ') : JSON.stringify(value);
+                }
+            } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+                this.flattenRecord(value, lists, name, flat);
+            } else {
+                flat[name] = value;
             }
-        }
-
-        // Show/display/view patterns with chart context
-        if (q.includes('show') || q.includes('display') || q.includes('view')) {
-            console.log('Detected show/display/view pattern');
+        });
+        return flat;
+    }
 
-            // Check for chart/graph requests first
-            if (q.includes('chart') || q.includes('graph') || q.includes('bar') || q.includes('plot')) {
-                console.log('Detected chart request in show pattern');
-                const column = this.findColumnInQuestion(q);
-                console.log('Found column in show pattern:', column);
-                if (column) {
-                    const sql = `SELECT "${column}", COUNT(*) as count FROM ${tableName} GROUP BY "${column}" ORDER BY count DESC`;
-                    console.log('Generated SQL from show pattern:', sql);
-                    return sql;
-                }
+    normalizeRecords(records) {
+        // JSON records don't all carry the same keys; give every row every column
+        const columns = [];
+        const seen = new Set();
+        records.forEach(record => Object.keys(record).forEach(key => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                columns.push(key);
             }
+        }));
+        return records.map(record => {
+            const row = {};
+            columns.forEach(col => { row[col] = record[col] === undefined ? null : record[col]; });
+            return row;
+        });
+    }
 
-            // Check for "by" patterns (grouping)
-            if (q.includes(' by ')) {
-                console.log('Detected "by" pattern in show');
-                const column = this.findColumnInQuestion(q);
-                console.log('Found column for "by" pattern:', column);
-                if (column) {
-                    const sql = `SELECT "${column}", COUNT(*) as count FROM ${tableName} GROUP BY "${column}" ORDER BY count DESC`;
-                    console.log('Generated SQL from "by" pattern:', sql);
-                    return sql;
+    async parseExcel(file) {
+        const workbook = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    const data = new Uint8Array(e.target.result);
+                    // Number formats tell date cells apart from plain numbers
+                    resolve(XLSX.read(data, { type: 'array', cellNF: true }));
+                } catch (error) {
+                    reject(error);
                 }
-            }
+            };
+            reader.onerror = reject;
+            reader.readAsArrayBuffer(file);
+        });
 
-            if (q.includes('first') || q.includes('top')) {
-                const num = this.extractNumber(q) || 10;
-                return `SELECT * FROM ${tableName} LIMIT ${num}`;
-            }
-            if (q.includes('all')) {
-                return `SELECT * FROM ${tableName}`;
-            }
+        const sheets = workbook.SheetNames.map(name => {
+            const rows = this.sheetRows(workbook.Sheets[name]);
+            return { name, rows, headerRow: this.detectHeaderRow(rows) };
+        }).filter(sheet => sheet.rows.length > 0);
+        if (!sheets.length) {
+            throw new Error('No data found in workbook');
         }
 
-        // Count and group patterns
-        if (q.includes('count')) {
-            if (q.includes('group') || q.includes('by')) {
-                const column = this.findColumnInQuestion(q);
-                if (column) {
-                    return `SELECT "${column}", COUNT(*) as count FROM ${tableName} GROUP BY "${column}" ORDER BY count DESC`;
+        // A single sheet whose header is the first row needs no questions asked
+        const simple = sheets.length === 1 && sheets[0].headerRow === sheets[0].rows.findIndex(row => row.some(cell => !this.isEmptyValue(cell)));
+        const chosen = simple ? sheets : await this.pickSheets(file.name, sheets);
+        return chosen.map(sheet => ({ data: this.rowsToRecords(sheet.rows, sheet.headerRow), sheet: sheets.length > 1 ? sheet.name : null }));
+    }
+
+    sheetRows(worksheet) {
+        if (!worksheet || !worksheet['!ref']) return [];
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+
+        // Merged cells keep their value in the top-left corner only; repeat it across the merge
+        const merged = {};
+        (worksheet['!merges'] || []).forEach(merge => {
+            const origin = worksheet[XLSX.utils.encode_cell(merge.s)];
+            for (let r = merge.s.r; r <= merge.e.r; r++) {
+                for (let c = merge.s.c; c <= merge.e.c; c++) {
+                    merged[`${r},${c}`] = origin;
                 }
             }
-            return `SELECT COUNT(*) as total_rows FROM ${tableName}`;
-        }
+        });
 
-        // Average patterns
-        if (q.includes('average') || q.includes('avg') || q.includes('mean')) {
-            const column = this.findColumnInQuestion(q);
-            if (column) {
-                if (q.includes('group') || q.includes('by')) {
-                    const groupCol = this.findSecondColumnInQuestion(q, column);
-                    if (groupCol) {
-                        return `SELECT "${groupCol}", AVG("${column}") as avg_${column} FROM ${tableName} GROUP BY "${groupCol}" ORDER BY avg_${column} DESC`;
-                    }
-                }
-                return `SELECT AVG("${column}") as average_${column} FROM ${tableName}`;
+        // Rows start at the top of the sheet so row numbers match what Excel shows
+        const rows = [];
+        for (let r = 0; r <= range.e.r; r++) {
+            const row = [];
+            for (let c = range.s.c; c <= range.e.c; c++) {
+                row.push(this.excelCellValue(worksheet[XLSX.utils.encode_cell({ r, c })] || merged[`${r},${c}`]));
             }
+            rows.push(row);
         }
+        while (rows.length && rows[rows.length - 1].every(cell => this.isEmptyValue(cell))) rows.pop();
+        return rows;
+    }
 
-        // Sum patterns
-        if (q.includes('sum') || q.includes('total')) {
-            const column = this.findColumnInQuestion(q);
-            if (column) {
-                if (q.includes('group') || q.includes('by')) {
-                    const groupCol = this.findSecondColumnInQuestion(q, column);
-                    if (groupCol) {
-                        return `SELECT "${groupCol}", SUM("${column}") as total_${column} FROM ${tableName} GROUP BY "${groupCol}" ORDER BY total_${column} DESC`;
-                    }
-                }
-                return `SELECT SUM("${column}") as total_${column} FROM ${tableName}`;
-            }
+    excelCellValue(cell) {
+        if (!cell || cell.t === 'e' || cell.t === 'z') return null;
+        if (cell.t === 'd') return this.formatISODate(cell.v);
+
+        // Dates are serial numbers with a date format; read them without going through local time
+        if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+            const parts = XLSX.SSF.parse_date_code(cell.v);
+            const date = parts ? this.buildISODate(parts.y, parts.m, parts.d) : null;
+            if (!date) return cell.v;
+            const time = [parts.H, parts.M, parts.S].map(n => String(n).padStart(2, '0')).join(':');
+            return time === '00:00:00' ? date : `${date} ${time}`;
         }
+        return cell.v;
+    }
 
-        // Min/Max patterns
-        if (q.includes('maximum') || q.includes('max') || q.includes('highest')) {
-            const column = this.findColumnInQuestion(q);
-            if (column) {
-                return `SELECT * FROM ${tableName} ORDER BY "${column}" DESC LIMIT 1`;
-            }
+    isLabelRow(row, width) {
+        // A header fills most of the table's width with text, and isn't one banner repeated across a merge
+        const cells = row.filter(cell => !this.isEmptyValue(cell));
+        return cells.length >= Math.max(1, Math.ceil(width * 0.6)) &&
+            cells.every(cell => typeof cell === 'string' && this.parseNumber(cell) === null && this.parseDate(cell) === null) &&
+            (width === 1 || new Set(cells).size > 1);
+    }
+
+    isGroupHeaderRow(row) {
+        // "Sales" merged over Q1, Q2 and Q3 shows up as the same label in neighbouring cells
+        return row.some((cell, i) => !this.isEmptyValue(cell) && cell === row[i + 1]);
+    }
+
+    detectHeaderRow(rows) {
+        const filled = row => row.filter(cell => !this.isEmptyValue(cell)).length;
+        const width = Math.max(0, ...rows.slice(0, 100).map(filled));
+        const limit = Math.min(rows.length, 30);
+
+        for (let r = 0; r < limit; r++) {
+            if (!this.isLabelRow(rows[r], width)) continue;
+            // Two-level headers: the group labels sit above the column labels
+            if (this.isGroupHeaderRow(rows[r]) && rows[r + 1] && this.isLabelRow(rows[r + 1], width)) return r + 1;
+            return r;
         }
+        return Math.max(0, rows.findIndex(row => filled(row) > 0));
+    }
+
+    isFooterRow(row) {
+        const first = row.find(cell => !this.isEmptyValue(cell));
+        return typeof first === 'string' && /^(grand\s+|sub\s*)?totals?\b/i.test(first.trim());
+    }
 
-        if (q.includes('minimum') || q.includes('min') || q.includes('lowest')) {
-            const column = this.findColumnInQuestion(q);
-            if (column) {
-                return `SELECT * FROM ${tableName} ORDER BY "${column}" ASC LIMIT 1`;
+    rowsToRecords(rows, headerRow) {
+        const header = rows[headerRow] || [];
+        const above = headerRow > 0 && this.isGroupHeaderRow(rows[headerRow - 1]) ? rows[headerRow - 1] : [];
+
+        // Blank rows anywhere and total rows at the bottom aren't data
+        const body = rows.slice(headerRow + 1).filter(row => row.some(cell => !this.isEmptyValue(cell)));
+        while (body.length && this.isFooterRow(body[body.length - 1])) body.pop();
+
+        const width = Math.max(header.length, ...body.map(row => row.length));
+        const columns = [];
+        const used = new Set();
+        for (let c = 0; c < width; c++) {
+            const parts = [above[c], header[c]].filter(part => !this.isEmptyValue(part)).map(part => String(part).trim());
+            let name = [...new Set(parts)].join(' ');
+            if (!name) {
+                // Unlabelled and empty: a spacer column
+                if (body.every(row => this.isEmptyValue(row[c]))) continue;
+                name = `Column ${c + 1}`;
             }
+            columns.push([c, this.uniqueColumnName(name, used)]);
         }
 
-        // Unique/distinct patterns
-        if (q.includes('unique') || q.includes('distinct')) {
-            const column = this.findColumnInQuestion(q);
-            if (column) {
-                return `SELECT DISTINCT "${column}" FROM ${tableName} ORDER BY "${column}"`;
-            }
+        return body.map(row => {
+            const record = {};
+            columns.forEach(([c, name]) => { record[name] = row[c] === undefined ? null : row[c]; });
+            return record;
+        });
+    }
+
+    pickSheets(filename, sheets) {
+        // Resolves with the sheets to import, each with its header row; cancelling imports nothing
+        return new Promise(resolve => {
+            this.showLoading(false);
+            this.importDialog.innerHTML = '';
+
+            const intro = document.createElement('p');
+            intro.className = 'alias-intro';
+            intro.textContent = `Choose what to import from ${filename}. Each sheet becomes its own table; change the header row if the column names look wrong.`;
+            this.importDialog.appendChild(intro);
+
+            const options = sheets.map((sheet, index) => {
+                const row = document.createElement('div');
+                row.className = 'sheet-option';
+
+                const pick = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                const name = document.createElement('strong');
+                name.textContent = sheet.name;
+                pick.appendChild(checkbox);
+                pick.appendChild(name);
+
+                const headerLabel = document.createElement('label');
+                headerLabel.textContent = 'Header row ';
+                const headerInput = document.createElement('input');
+                headerInput.type = 'number';
+                headerInput.className = 'alias-input sheet-header-input';
+                headerInput.min = 1;
+                headerInput.max = sheet.rows.length;
+                headerInput.value = sheet.headerRow + 1;
+                headerLabel.appendChild(headerInput);
+
+                const preview = document.createElement('div');
+                preview.className = 'sheet-preview';
+                const headerRow = () => Math.min(Math.max(parseInt(headerInput.value) || 1, 1), sheet.rows.length) - 1;
+                const updatePreview = () => {
+                    const records = this.rowsToRecords(sheet.rows, headerRow());
+                    const columns = records.length ? Object.keys(records[0]) : [];
+                    preview.textContent = `${records.length.toLocaleString()} rows • ${columns.slice(0, 6).join(', ')}${columns.length > 6 ? ` and ${columns.length - 6} more` : ''}`;
+                    return { records, columns };
+                };
+                headerInput.addEventListener('input', updatePreview);
+
+                // Sheets that look like tables start ticked; cover pages and notes don't
+                const { records, columns } = updatePreview();
+                checkbox.checked = records.length > 0 && columns.length > 1;
+
+                row.appendChild(pick);
+                row.appendChild(headerLabel);
+                row.appendChild(preview);
+                this.importDialog.appendChild(row);
+                return { sheet, checkbox, headerRow };
+            });
+            if (!options.some(option => option.checkbox.checked)) options[0].checkbox.checked = true;
+
+            const finish = (chosen) => {
+                this.importDialog.hidden = true;
+                this.importDialog.innerHTML = '';
+                this.showLoading(chosen.length > 0);
+                resolve(chosen);
+            };
+
+            const actions = document.createElement('div');
+            actions.className = 'alias-actions';
+            const importButton = document.createElement('button');
+            importButton.type = 'button';
+            importButton.className = 'btn';
+            importButton.textContent = 'Import selected sheets';
+            importButton.addEventListener('click', () => finish(options
+                .filter(option => option.checkbox.checked)
+                .map(option => ({ ...option.sheet, headerRow: option.headerRow() }))));
+            const cancel = document.createElement('button');
+            cancel.type = 'button';
+            cancel.className = 'btn btn-secondary';
+            cancel.textContent = 'Cancel';
+            cancel.addEventListener('click', () => finish([]));
+            actions.appendChild(importButton);
+            actions.appendChild(cancel);
+            this.importDialog.appendChild(actions);
+
+            this.importDialog.hidden = false;
+            importButton.focus();
+        });
+    }
+
+    sanitizeTableName(name) {
+        // Plain lower-case identifiers so hand-written SQL doesn't need quotes
+        const cleaned = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        if (!cleaned) return 'data';
+        return /^([0-9]|sqlite_)/.test(cleaned) ? `t_${cleaned}` : cleaned;
+    }
+
+    uniqueTableName(name, except = null) {
+        const taken = this.datasets.map(d => d.tableName.toLowerCase()).filter(table => table !== except);
+        let candidate = name;
+        for (let i = 2; taken.includes(candidate.toLowerCase()); i++) {
+            candidate = `${name}_${i}`;
         }
+        return candidate;
+    }
 
-        // Comparison patterns
-        if (q.includes('greater than') || q.includes('>') || q.includes('more than')) {
-            const column = this.findColumnInQuestion(q);
-            const value = this.extractNumber(q);
-            if (column && value) {
-                return `SELECT * FROM ${tableName} WHERE "${column}" > ${value} ORDER BY "${column}" DESC`;
-            }
+    updateWorkspace() {
+        // Questions see one list of columns; names shared by several tables become "table.column"
+        const counts = {};
+        this.datasets.forEach(dataset => dataset.schema.forEach(col => {
+            counts[col.toLowerCase()] = (counts[col.toLowerCase()] || 0) + 1;
+        }));
+
+        const schema = [];
+        const types = {};
+        const sources = {};
+        const profiles = {};
+        this.datasets.forEach(dataset => dataset.schema.forEach(col => {
+            const name = counts[col.toLowerCase()] > 1 ? `${dataset.tableName}.${col}` : col;
+            schema.push(name);
+            types[name] = dataset.types[col];
+            sources[name] = { table: dataset.tableName, column: col };
+            // The worker's summary of each column answers value lookups while a question is parsed
+            const profile = (dataset.profile || {})[col] || {};
+            profiles[name] = { min: profile.min, max: profile.max, values: profile.values ? new Set(profile.values) : null };
+        }));
+
+        const primary = this.datasets[0];
+        this.currentData = primary ? { tableName: primary.tableName, schema, types, sources, profiles, rowCount: primary.rowCount } : null;
+        this.conversation = { lastQuery: null };
+        this.aliases = this.currentData ? this.loadAliases() : {};
+        this.updateSqlCompletions();
+        this.renderDatasets();
+
+        if (!this.currentData) {
+            this.chatSection.style.display = 'none';
+            this.resultsSection.style.display = 'none';
         }
+    }
 
-        if (q.includes('less than') || q.includes('<') || q.includes('below')) {
-            const column = this.findColumnInQuestion(q);
-            const value = this.extractNumber(q);
-            if (column && value) {
-                return `SELECT * FROM ${tableName} WHERE "${column}" < ${value} ORDER BY "${column}" ASC`;
-            }
+    renderDatasets() {
+        this.datasetList.innerHTML = '';
+        this.datasets.forEach(dataset => {
+            const item = document.createElement('li');
+            item.className = 'dataset-item';
+
+            const info = document.createElement('div');
+            const name = document.createElement('strong');
+            name.textContent = dataset.tableName;
+            const meta = document.createElement('div');
+            meta.className = 'dataset-meta';
+            meta.textContent = `${dataset.filename ? `${dataset.filename} • ` : ''}${dataset.rowCount.toLocaleString()} rows • ${dataset.schema.length} columns`;
+            info.appendChild(name);
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'dataset-actions';
+            [['Profile', () => this.showProfile(dataset.tableName)], ['Rename', () => this.renameDataset(dataset.tableName)], ['Remove', () => this.removeDataset(dataset.tableName)]].forEach(([label, handler]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-secondary';
+                button.textContent = label;
+                button.setAttribute('aria-label', `${label} table ${dataset.tableName}`);
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            });
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            this.datasetList.appendChild(item);
+        });
+
+        this.datasetLinks.textContent = this.relationships.length
+            ? `🔗 Linked by ${this.relationships.map(link => `${link.from.table}.${link.from.column} = ${link.to.table}.${link.to.column}`).join(', ')}`
+            : (this.datasets.length > 1 ? 'No shared key columns found, so these tables can only be queried one at a time.' : '');
+        this.datasetPanel.hidden = this.datasets.length === 0;
+    }
+
+    async renameDataset(tableName) {
+        const input = window.prompt(`New name for the ${tableName} table`, tableName);
+        if (input === null) return;
+
+        const newName = this.sanitizeTableName(input);
+        if (newName === tableName) return;
+        if (this.uniqueTableName(newName, tableName.toLowerCase()) !== newName) {
+            this.showStatus(`There is already a table called ${newName}`, 'error');
+            return;
         }
 
-        // Sort patterns
-        if (q.includes('sort') || q.includes('order')) {
-            const column = this.findColumnInQuestion(q);
-            const desc = q.includes('desc') || q.includes('descending') || q.includes('highest') ? 'DESC' : 'ASC';
-            if (column) {
-                return `SELECT * FROM ${tableName} ORDER BY "${column}" ${desc}`;
-            }
+        try {
+            this.applyWorkerState(await this.callWorker('rename', { tableName, newName }));
+        } catch (error) {
+            this.showStatus(`Rename failed: ${error.message}`, 'error');
+            return;
         }
+        this.addMessage(`Renamed table ${tableName} to ${newName}.`, 'ai');
+    }
 
-        // Search patterns
-        if (q.includes('find') || q.includes('search') || q.includes('where')) {
-            const column = this.findColumnInQuestion(q);
-            if (column) {
-                const value = this.extractQuotedValue(q);
-                if (value) {
-                    return `SELECT * FROM ${tableName} WHERE "${column}" LIKE '%${value}%'`;
-                }
-            }
+    async removeDataset(tableName) {
+        if (!window.confirm(`Remove the ${tableName} table? Load the file again to bring it back.`)) {
+            return;
         }
 
-        // Catch-all for "by [column]" patterns that might have been missed
-        if (q.includes(' by ')) {
-            const column = this.findColumnInQuestion(q);
-            if (column) {
-                return `SELECT "${column}", COUNT(*) as count FROM ${tableName} GROUP BY "${column}" ORDER BY count DESC`;
-            }
+        try {
+            this.applyWorkerState(await this.callWorker('remove', { tableName }));
+        } catch (error) {
+            this.showStatus(`Remove failed: ${error.message}`, 'error');
+            return;
         }
+        if (this.currentData) {
+            this.addMessage(`Removed table ${tableName}.`, 'ai');
+        }
+    }
 
-        // Default: show sample data
-        return `SELECT * FROM ${tableName} LIMIT 20`;
+    isJoinKeyPair(leftTable, leftColumn, rightTable, rightColumn) {
+        const normalize = name => this.splitIdentifierWords(name).join('');
+        const a = normalize(leftColumn);
+        const b = normalize(rightColumn);
+        const lastWord = name => this.splitIdentifierWords(name).pop();
+        const keyWords = ['id', 'key', 'code', 'no', 'num', 'number', 'sku'];
+
+        // customer_id = CustomerID, but a bare "id" in both tables is each table's own key
+        if (a === b) return keyWords.includes(lastWord(leftColumn)) && !QUERY_VOCABULARY.genericColumnWords.includes(a);
+        // customers.id = orders.customer_id
+        const entity = table => normalize(this.stemWord(table.toLowerCase()));
+        return (a === 'id' && b === `${entity(leftTable)}id`) || (b === 'id' && a === `${entity(rightTable)}id`);
     }
 
-    findSecondColumnInQuestion(question, excludeColumn) {
-        const columns = this.currentData.schema.filter(col => col !== excludeColumn);
-        for (const col of columns) {
-            if (question.toLowerCase().includes(col.toLowerCase())) {
-                return col;
+    joinPath(from, to) {
+        // Breadth-first over the links, so the fewest joins win
+        const visited = new Set([from]);
+        const queue = [{ table: from, path: [] }];
+        while (queue.length) {
+            const { table, path } = queue.shift();
+            if (table === to) return path;
+            for (const link of this.relationships) {
+                const [near, far] = link.from.table === table ? [link.from, link.to] : link.to.table === table ? [link.to, link.from] : [];
+                if (!near || visited.has(far.table)) continue;
+                visited.add(far.table);
+                queue.push({ table: far.table, path: [...path, { from: near, to: far }] });
             }
         }
         return null;
     }
 
-    extractQuotedValue(text) {
-        const match = text.match(/["']([^"']+)["']/);
-        return match ? match[1] : null;
-    }
-
-    findColumnInQuestion(question) {
-        const columns = this.currentData.schema;
-        const q = question.toLowerCase();
-
+    inferColumnTypes(data, columns) {
+        // Sample evenly across the file so sorted exports don't fool us
+        const sampleSize = 1000;
+        const step = Math.max(1, Math.floor(data.length / sampleSize));
+        const types = {};
+        const dateOrders = {};
 
-
-        // First, try exact column name matches
         for (const col of columns) {
-            if (q.includes(col.toLowerCase())) {
-                return col;
+            const samples = [];
+            for (let i = 0; i < data.length && samples.length < sampleSize; i += step) {
+                const value = data[i][col];
+                if (!this.isEmptyValue(value)) {
+                    samples.push(value);
+                }
             }
+            dateOrders[col] = this.detectDateOrder(samples);
+            types[col] = this.inferTypeFromSamples(samples, dateOrders[col]);
         }
 
-        // Then try partial matches and common synonyms
-        for (const col of columns) {
-            const colLower = col.toLowerCase();
+        return { types, dateOrders };
+    }
 
-            // Check for common data type patterns
-            if ((q.includes('name') || q.includes('title')) &&
-                (colLower.includes('name') || colLower.includes('title') || colLower.includes('software'))) {
-                return col;
-            }
+    inferTypeFromSamples(samples, dateOrder) {
+        if (samples.length === 0) return 'TEXT';
 
-            if ((q.includes('category') || q.includes('type')) &&
-                (colLower.includes('category') || colLower.includes('type') || colLower.includes('kind'))) {
-                return col;
-            }
+        if (samples.every(value => this.parseBoolean(value) !== null) &&
+            samples.some(value => typeof value === 'boolean' || /^[a-z]/i.test(String(value).trim()))) {
+            return 'BOOLEAN';
+        }
 
-            if ((q.includes('install') || q.includes('software')) &&
-                (colLower.includes('install') || colLower.includes('software') || colLower.includes('app') || colLower.includes('program'))) {
-                return col;
-            }
+        const numbers = samples.map(value => this.parseNumber(value));
+        if (numbers.every(num => num !== null)) {
+            return numbers.every(num => Number.isInteger(num)) ? 'INTEGER' : 'REAL';
+        }
 
-            if (q.includes('status') && colLower.includes('status')) {
-                return col;
-            }
+        const dates = samples.map(value => this.parseDate(value, dateOrder));
+        if (dates.every(date => date !== null)) {
+            return dates.some(date => date.length > 10) ? 'DATETIME' : 'DATE';
+        }
+
+        return 'TEXT';
+    }
 
-            if ((q.includes('date') || q.includes('time')) &&
-                (colLower.includes('date') || colLower.includes('time') || colLower.includes('created'))) {
-                return col;
+    convertValue(value, type, dateOrder) {
+        if (this.isEmptyValue(value)) return null;
+
+        let converted = null;
+        switch (type) {
+            case 'INTEGER':
+            case 'REAL':
+                converted = this.parseNumber(value);
+                break;
+            case 'BOOLEAN': {
+                const bool = this.parseBoolean(value);
+                converted = bool === null ? null : (bool ? 1 : 0);
+                break;
             }
+            case 'DATE':
+            case 'DATETIME':
+                converted = this.parseDate(value, dateOrder);
+                if (converted && type === 'DATE') converted = converted.substring(0, 10);
+                if (converted && type === 'DATETIME' && converted.length === 10) converted += ' 00:00:00';
+                break;
         }
 
-        // If no specific match, return the first string-like column (most likely to be categorical)
-        for (const col of columns) {
-            // This is a heuristic - columns with "name", "title", etc. are likely categorical
-            const colLower = col.toLowerCase();
-            if (colLower.includes('name') || colLower.includes('title') ||
-                colLower.includes('software') || colLower.includes('app') ||
-                colLower.includes('program') || colLower.includes('category') ||
-                colLower.includes('type') || colLower.includes('status')) {
-                return col;
-            }
+        // Values that don't fit the inferred type are kept as text rather than dropped
+        if (converted === null) {
+            return value instanceof Date ? value.toISOString() : String(value);
         }
+        return converted;
+    }
 
-        return columns[0]; // Final fallback to first column
+    isEmptyValue(value) {
+        return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
     }
 
-    extractNumber(text) {
-        const match = text.match(/\d+/);
-        return match ? parseInt(match[0]) : null;
+    isNumericType(type) {
+        return type === 'INTEGER' || type === 'REAL';
     }
 
-    executeQuery(sql) {
-        try {
-            const stmt = this.db.prepare(sql);
-            const results = [];
+    isDateType(type) {
+        return type === 'DATE' || type === 'DATETIME';
+    }
 
-            while (stmt.step()) {
-                const row = stmt.getAsObject();
-                results.push(row);
-            }
+    getColumnType(column) {
+        return (this.currentData && this.currentData.types && this.currentData.types[column]) || 'TEXT';
+    }
 
-            stmt.free();
-            return results;
-        } catch (error) {
-            throw new Error(`SQL Error: ${error.message}`);
+    parseNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value !== 'string') return null;
+
+        let text = value.trim();
+        let negative = false;
+
+        // Accounting style negatives: (1,234.00)
+        if (/^\(.*\)$/.test(text)) {
+            negative = true;
+            text = text.slice(1, -1).trim();
         }
-    }
 
-    addMessage(text, sender) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${sender}`;
+        // Currency symbols and codes, before or after the number
+        text = text.replace(/^[$€£¥₹]\s*|\s*[$€£¥₹]$/g, '')
+            .replace(/^(USD|EUR|GBP|JPY|INR)\s+|\s+(USD|EUR|GBP|JPY|INR)$/gi, '');
 
-        const labelDiv = document.createElement('div');
-        labelDiv.className = 'message-label';
-        labelDiv.textContent = sender === 'ai' ? 'Data Explorer' : 'You';
+        if (text.startsWith('-')) {
+            negative = !negative;
+            text = text.substring(1).replace(/^[$€£¥₹]\s*/, '');
+        } else if (text.startsWith('+')) {
+            text = text.substring(1);
+        }
 
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'message-content';
-        contentDiv.innerHTML = text;
+        const isPercent = text.endsWith('%');
+        if (isPercent) text = text.slice(0, -1).trim();
 
-        messageDiv.appendChild(labelDiv);
-        messageDiv.appendChild(contentDiv);
+        // Leading zeros usually mean an identifier (zip codes, SKUs), not a number
+        if (/^0\d/.test(text)) return null;
 
-        this.chatMessages.appendChild(messageDiv);
-        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+        // Thousands separators must be in groups of three
+        if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+            text = text.replace(/,/g, '');
+        }
+
+        if (!/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) return null;
+
+        const num = parseFloat(text);
+        return negative ? -num : num;
     }
 
-    displayResults(results, query) {
+    parseBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value !== 'string') return null;
+
+        const text = value.trim().toLowerCase();
+        if (['true', 'yes', 'y'].includes(text)) return true;
+        if (['false', 'no', 'n'].includes(text)) return false;
+        return null;
+    }
+
+    detectDateOrder(samples) {
+        // Decide between month/day and day/month for slash- or dot-separated dates
+        for (const value of samples) {
+            const match = String(value).trim().match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-]\d{2,4}/);
+            if (match && parseInt(match[1]) > 12) {
+                return 'DMY';
+            }
+        }
+        return 'MDY';
+    }
+
+    parseDate(value, order = 'MDY') {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : this.formatISODate(value);
+        }
+        if (typeof value !== 'string') return null;
+
+        const text = value.trim();
+        const time = '(?:[T\\s]+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\.\\d+)?\\s*(am|pm)?\\s*(Z|[+-]\\d{2}:?\\d{2})?)?$';
+        let year, month, day, match;
+
+        if ((match = text.match(new RegExp('^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})' + time, 'i')))) {
+            [year, month, day] = [match[1], match[2], match[3]];
+        } else if ((match = text.match(new RegExp('^(\\d{1,2})[-/.](\\d{1,2})[-/.](\\d{2}|\\d{4})' + time, 'i')))) {
+            [month, day] = order === 'DMY' ? [match[2], match[1]] : [match[1], match[2]];
+            // Two-digit years pivot like strptime's %y: 00-69 are 2000s, 70-99 are 1900s
+            year = match[3].length === 2 ? `${parseInt(match[3]) < 70 ? 20 : 19}${match[3]}` : match[3];
+        } else {
+            // Named months such as "Mar 5, 2023" or "5 March 2023"
+            const named = text.match(/^(?:(\d{1,2})\s+)?([a-z]{3,9})\.?\s+(?:(\d{1,2}),?\s+)?(\d{4})$/i);
+            const monthIndex = named ? this.monthFromName(named[2]) : -1;
+            if (monthIndex < 0 || (named[1] && named[3])) return null;
+            return this.buildISODate(named[4], monthIndex + 1, named[1] || named[3] || 1);
+        }
+
+        const date = this.buildISODate(year, month, day);
+        if (!date || !match[4]) return date;
+
+        let hours = parseInt(match[4]);
+        if (match[7]) {
+            const pm = match[7].toLowerCase() === 'pm';
+            if (hours > 12) return null;
+            hours = (hours % 12) + (pm ? 12 : 0);
+        }
+        if (hours > 23 || parseInt(match[5]) > 59) return null;
+        return `${date} ${String(hours).padStart(2, '0')}:${match[5]}:${match[6] || '00'}`;
+    }
+
+    monthFromName(name) {
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const lower = name.toLowerCase();
+        const index = months.indexOf(lower.substring(0, 3));
+        if (index < 0) return -1;
+        // Accept "Mar", "March" and "Sept", but not arbitrary words starting with a month prefix
+        const full = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'][index];
+        return full.startsWith(lower) || lower === 'sept' ? index : -1;
+    }
+
+    buildISODate(year, month, day) {
+        const y = parseInt(year), m = parseInt(month), d = parseInt(day);
+        if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+
+        const date = new Date(Date.UTC(y, m - 1, d));
+        if (date.getUTCMonth() !== m - 1) return null; // e.g. Feb 30
+        return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+    }
+
+    formatISODate(date) {
+        const iso = date.toISOString();
+        const day = iso.substring(0, 10);
+        const time = iso.substring(11, 19);
+        return time === '00:00:00' ? day : `${day} ${time}`;
+    }
+
+    async sendMessage() {
+        if (this.sqlMode) {
+            this.runEditorSql();
+            return;
+        }
+
+        const question = this.chatInput.value.trim();
+        if (!question) return;
+
+        // Add user message to chat
+        this.addMessage(question, 'user');
+        this.chatInput.value = '';
+
+        this.answer(() => this.interpretQuestion(question), question);
+    }
+
+    async answer(interpret, question) {
+        this.showLoading(true, 'Running query...');
+
+        try {
+            const { query, changes, followUp, confidence, clarifications } = interpret();
+            const { sql, params } = this.compileQuery(query);
+            const results = await this.executeQuery(sql, params);
+            const sqlQuery = this.inlineParams(sql, params);
+            this.conversation.lastQuery = query;
+
+            let responseMsg = `Found ${results.length.toLocaleString()} results`;
+
+            if (query.chart) {
+                responseMsg = `Created visualization with ${results.length.toLocaleString()} data points`;
+            }
+            if (changes.length) {
+                const changeList = changes.map(change => `<li>${this.escapeHtml(change)}</li>`).join('');
+                responseMsg = `${followUp ? 'Refined the previous question' : 'Updated the question'}:<ul class="query-changes">${changeList}</ul>${responseMsg}`;
+            }
+            if (confidence < 0.5) {
+                responseMsg = `I'm not sure I understood that, so this is my best guess. ${responseMsg}`;
+            }
+
+            const interpretation = { summary: this.describeQuery(query), confidence };
+            this.recordHistory({ question, sql: sqlQuery, query, interpretation, rows: results.length });
+
+            this.addMessage(responseMsg, 'ai', { html: true });
+            clarifications.forEach(clarification => this.addClarification(clarification));
+
+            // Show results table
+            this.displayResults(results, sqlQuery, interpretation);
+
+        } catch (error) {
+            if (error.code === 'CANCELLED') {
+                this.addMessage('Stopped the query. The loaded tables are unchanged.', 'ai');
+            } else {
+                console.error('Error in sendMessage:', error);
+                this.addMessage(`Sorry, I encountered an error: ${error.message}`, 'ai');
+            }
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    addClarification({ prompt, choices }) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message ai';
+
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'message-label';
+        labelDiv.textContent = 'Data Explorer';
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+        contentDiv.textContent = prompt;
+
+        const choicesDiv = document.createElement('div');
+        choicesDiv.className = 'clarify-choices';
+        choices.forEach(choice => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'clarify-choice';
+            button.textContent = choice.label;
+            button.addEventListener('click', () => {
+                if (!choice.repeatable) {
+                    choicesDiv.querySelectorAll('button').forEach(b => { b.disabled = true; });
+                    button.classList.add('selected');
+                }
+                if (choice.action) {
+                    choice.action();
+                } else if (choice.question) {
+                    this.chatInput.value = choice.question;
+                    this.sendMessage();
+                } else {
+                    this.addMessage(choice.label, 'user');
+                    this.answer(() => this.assessInterpretation({ query: choice.query, changes: [choice.change], followUp: false }), choice.label);
+                }
+            });
+            choicesDiv.appendChild(button);
+        });
+        contentDiv.appendChild(choicesDiv);
+
+        messageDiv.appendChild(labelDiv);
+        messageDiv.appendChild(contentDiv);
+
+        this.chatMessages.appendChild(messageDiv);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+        // Saved as plain text; the choices only make sense while this answer is on screen
+        this.messages.push({ text: prompt, sender: 'ai', html: false });
+        this.scheduleSessionSave();
+    }
+
+    toggleSqlMode(enabled = !this.sqlMode, sql = null) {
+        this.sqlMode = enabled;
+        this.sqlModeBtn.setAttribute('aria-pressed', String(enabled));
+        this.sqlModeBtn.classList.toggle('active', enabled);
+        this.sqlEditorContainer.hidden = !enabled;
+        this.chatInput.hidden = enabled;
+        this.sendLabel.textContent = enabled ? 'Run' : 'Send';
+
+        if (!enabled) {
+            this.chatInput.focus();
+            return;
+        }
+
+        if (!this.sqlEditor) this.createSqlEditor();
+        this.updateSqlCompletions();
+        if (sql !== null) this.setEditorSql(sql);
+        this.clearSqlError();
+        if (this.sqlEditor.refresh) this.sqlEditor.refresh();
+        this.sqlEditor.focus();
+    }
+
+    createSqlEditor() {
+        const run = () => this.sendMessage();
+
+        if (typeof CodeMirror === 'undefined') {
+            // Without the editor library the plain textarea still works, just without highlighting
+            const textarea = this.sqlEditorInput;
+            textarea.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    e.preventDefault();
+                    run();
+                }
+            });
+            this.sqlEditor = { getValue: () => textarea.value, setValue: (value) => { textarea.value = value; }, focus: () => textarea.focus() };
+            return;
+        }
+
+        this.sqlEditor = CodeMirror.fromTextArea(this.sqlEditorInput, {
+            mode: 'text/x-sqlite',
+            lineNumbers: true,
+            lineWrapping: true,
+            extraKeys: {
+                'Ctrl-Enter': run,
+                'Cmd-Enter': run,
+                'Ctrl-Space': 'autocomplete'
+            },
+            hintOptions: { completeSingle: false }
+        });
+        this.sqlEditor.on('inputRead', (editor, change) => {
+            // Suggest names as soon as a word is started, like most SQL consoles
+            if (/^[\w."]$/.test(change.text[0]) && !editor.state.completionActive) {
+                editor.showHint({ completeSingle: false });
+            }
+        });
+        this.sqlEditor.on('change', () => this.clearSqlError());
+    }
+
+    updateSqlCompletions() {
+        if (this.currentData) {
+            this.sqlEditorInput.placeholder = `SELECT * FROM ${this.currentData.tableName} LIMIT 10`;
+        }
+        if (!this.sqlEditor || !this.sqlEditor.setOption) return;
+        const tables = {};
+        this.datasets.forEach(dataset => { tables[dataset.tableName] = dataset.schema; });
+        this.sqlEditor.setOption('hintOptions', { tables, completeSingle: false });
+    }
+
+    getEditorSql() {
+        return this.sqlEditor ? this.sqlEditor.getValue() : this.sqlEditorInput.value;
+    }
+
+    setEditorSql(sql) {
+        this.sqlEditor.setValue(sql);
+        if (this.sqlEditor.setCursor) this.sqlEditor.setCursor(this.sqlEditor.lineCount(), 0);
+    }
+
+    async runEditorSql() {
+        const sql = this.getEditorSql().trim();
+        if (!sql) return;
+
+        this.addMessage(`<pre class="sql-message"><code>${this.escapeHtml(sql)}</code></pre>`, 'user', { html: true });
+        this.clearSqlError();
+        this.showLoading(true, 'Running query...');
+
+        try {
+            const results = await this.executeQuery(sql);
+            // Hand-written SQL has no structured query for follow-ups to refine
+            this.conversation.lastQuery = null;
+            this.recordHistory({ question: null, sql, query: null, interpretation: null, rows: results.length });
+            this.addMessage(`Ran your SQL: ${results.length.toLocaleString()} results`, 'ai');
+            this.displayResults(results, sql);
+        } catch (error) {
+            if (error.code === 'CANCELLED') {
+                this.addMessage('Stopped the query. The loaded tables are unchanged.', 'ai');
+                return;
+            }
+            const message = error.message.replace(/^SQL Error: /, '');
+            const location = error.code ? null : this.locateSqlError(sql, message);
+            this.showSqlError(location, message);
+            const where = location ? ` at line ${location.line}, column ${location.column}` : '';
+            this.addMessage(`SQL error${where}: ${message}`, 'ai');
+            if (error.code === 'WRITE_STATEMENT') this.offerTransform(sql);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    locateSqlError(sql, message) {
+        // SQLite names the offending token rather than its position, so find it in the text
+        let offset = -1;
+        let length = 0;
+        const token = /near "([^"]*)"/.exec(message) || /no such (?:column|table|function): (\S+)/.exec(message);
+
+        if (/incomplete input/.test(message)) {
+            offset = sql.length;
+        } else if (token) {
+            const name = token[1];
+            const candidates = [name, name.split('.').pop()];
+            for (const candidate of candidates) {
+                const match = new RegExp(`(^|[^\\w])(${candidate.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})(?![\\w])`, 'i').exec(sql);
+                if (match) {
+                    offset = match.index + match[1].length;
+                    length = candidate.length;
+                    break;
+                }
+            }
+        }
+        if (offset < 0) return null;
+
+        const before = sql.slice(0, offset);
+        const line = before.split('\n').length;
+        const column = offset - before.lastIndexOf('\n');
+        return { line, column, offset, length };
+    }
+
+    showSqlError(location, message) {
+        this.sqlError.textContent = location ? `Line ${location.line}, column ${location.column}: ${message}` : message;
+        this.sqlError.hidden = false;
+
+        if (location && this.sqlEditor && this.sqlEditor.markText) {
+            // The editor holds the text as typed, before trimming
+            const lead = this.getEditorSql().length - this.getEditorSql().trimStart().length;
+            const from = this.sqlEditor.posFromIndex(lead + location.offset);
+            const to = this.sqlEditor.posFromIndex(lead + location.offset + Math.max(location.length, 1));
+            this.sqlErrorMark = this.sqlEditor.markText(from, to, { className: 'sql-error-mark' });
+        }
+    }
+
+    clearSqlError() {
+        this.sqlError.hidden = true;
+        if (this.sqlErrorMark) {
+            this.sqlErrorMark.clear();
+            this.sqlErrorMark = null;
+        }
+    }
+
+    async generateSQLFromQuestion(question) {
+        // Parse into a structured query first, then compile it to SQL with bound parameters
+        const { query } = this.interpretQuestion(question);
+        return this.compileQuery(query);
+    }
+
+    async generateSQLWithAI(question) {
+        const prompt = `Translate to SQL: "${question}" for table user_data with columns ${this.currentData.schema.join(', ')}`;
+
+        const result = await this.pipeline(prompt, {
+            max_new_tokens: 50,
+            temperature: 0.1
+        });
+
+        let sql = result[0].generated_text.trim();
+
+        // Clean up the response
+        sql = sql.replace(/^(SELECT|select)/, 'SELECT');
+        if (!sql.toLowerCase().includes('from')) {
+            sql += ` FROM user_data`;
+        }
+
+        return sql;
+    }
+
+    parseQuestion(question, { fragment = false, context = null } = {}) {
+        // Period comparisons ("vs last month") would otherwise read as date filters
+        const { comparison, text } = this.extractPeriodComparison(question);
+        const tokens = this.tokenizeQuestion(text);
+        const items = this.markColumnMentions(tokens);
+        const clauses = this.splitIntoClauses(items);
+
+        const query = {
+            table: this.currentData.tableName,
+            select: [],
+            aggregates: [],
+            groupBy: [],
+            filters: [],
+            orderBy: [],
+            limit: null,
+            distinct: false,
+            chart: items.some(item => QUERY_VOCABULARY.chartWords.includes(item.value)),
+            pivot: items.some(item => QUERY_VOCABULARY.pivotWords.includes(item.value)) ? { across: [] } : null,
+            showAll: false,
+            rowLookup: false,
+            sortDirection: null,
+            fromTop: null,
+            timeBucket: null,
+            comparison,
+            guesses: [],
+            // Columns the conversation is already about, for follow-ups that only name a value
+            contextColumns: context ? [...context.groupBy, ...context.filters.map(filter => filter.column), ...context.select] : []
+        };
+
+        // "region" when there is both a Region and a Sales Region column
+        items.filter(item => item.type === 'column' && item.alternatives).forEach(item => {
+            this.recordGuess(query, { text: item.text, column: item.column, candidates: [item.column, ...item.alternatives], confidence: 0.7 });
+        });
+        // Typos and partial names are probably right, but not certainly
+        items.filter(item => item.type === 'column' && !item.alternatives && item.score < 0.9).forEach(item => {
+            this.recordGuess(query, { text: item.text, column: item.column, candidates: this.similarColumns(item.column), confidence: item.score });
+        });
+
+        for (const clause of clauses) {
+            switch (clause.type) {
+                case 'select':
+                    this.parseSelectClause(clause.items, query);
+                    break;
+                case 'group':
+                    this.parseGroupClause(clause.items, query);
+                    break;
+                case 'across': {
+                    // Still a grouping, but these columns go across the top of the pivot
+                    const grouped = [...query.groupBy];
+                    const bucket = query.timeBucket || query.timeGrain;
+                    this.parseGroupClause(clause.items, query);
+                    const across = query.groupBy.filter(column => !grouped.includes(column));
+                    if (!bucket && (query.timeBucket || query.timeGrain)) across.push(null);
+                    query.pivot = { across };
+                    break;
+                }
+                case 'filter':
+                    this.parseFilterClause(clause.items, query);
+                    break;
+                case 'sort':
+                    this.parseSortClause(clause.items, query);
+                    break;
+                case 'limit':
+                    this.parseLimitClause(clause.items, query);
+                    break;
+            }
+        }
+
+        // Follow-ups keep the raw pieces so they can be merged into the previous query
+        if (!fragment) this.finalizeQuery(query, question);
+        return query;
+    }
+
+    interpretQuestion(question) {
+        const previous = this.conversation.lastQuery;
+
+        if (/^\s*(start over|new question|reset|clear context)\b/i.test(question)) {
+            this.conversation.lastQuery = null;
+            const fresh = question.replace(/^\s*(start over|new question|reset|clear context)\W*/i, '');
+            return this.assessInterpretation({ query: this.parseQuestion(fresh), changes: [], followUp: false });
+        }
+
+        if (previous && this.isFollowUpQuestion(question)) {
+            const query = this.applyFollowUp(previous, question);
+            const changes = this.describeQueryChanges(previous, query);
+            if (changes.length > 0) {
+                return this.assessInterpretation({ query, changes, followUp: true });
+            }
+        }
+
+        return this.assessInterpretation({ query: this.parseQuestion(question), changes: [], followUp: false });
+    }
+
+    assessInterpretation({ query, changes, followUp }) {
+        const guesses = query.guesses || [];
+        delete query.guesses;
+
+        // The weakest guess decides how far the answer can be trusted
+        const confidence = guesses.reduce((lowest, guess) => Math.min(lowest, guess.confidence), 1);
+        const clarifications = [];
+
+        guesses.filter(guess => guess.confidence < 0.75).forEach(guess => {
+            if (!guess.column && guess.filter && guess.candidates.length) {
+                const { op, value } = guess.filter;
+                const condition = op === 'between' ? `between ${value[0]} and ${value[1]}` : `${op} ${value}`;
+                const choices = guess.candidates.slice(0, 6).map(column => ({
+                    label: column,
+                    query: { ...query, filters: [...query.filters, { ...guess.filter, column, looseOp: false }] },
+                    change: `Added ${column} ${condition}`
+                }));
+                const prompt = guess.text
+                    ? `"${guess.text}" isn't a number column, so I left out "${guess.text} ${condition}". Which column did you mean?`
+                    : `Which column should be ${condition}?`;
+                clarifications.push({ prompt, choices });
+            } else if (!guess.column) {
+                clarifications.push({ prompt: "I couldn't match that to any of your columns. Try one of these:", choices: this.suggestQuestions() });
+            } else if (guess.candidates.length > 1) {
+                const names = guess.candidates.map(col => `"${col}"`);
+                const options = `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+                const prompt = guess.filterOnly ? `Which column is "${guess.text}" in: ${options}?` : `Did you mean ${options}?`;
+                const choices = guess.candidates.map(column => ({
+                    label: column,
+                    query: this.replaceColumn(query, guess.column, column, guess.filterOnly),
+                    change: `Using ${column} for "${guess.text}"`
+                }));
+                clarifications.push({ prompt, choices });
+            }
+        });
+
+        return { query, changes, followUp, confidence, clarifications: clarifications.slice(0, 2) };
+    }
+
+    replaceColumn(query, from, to, filtersOnly = false) {
+        const copy = JSON.parse(JSON.stringify(query));
+        const swap = col => col === from ? to : col;
+
+        copy.filters.forEach(filter => { filter.column = swap(filter.column); });
+        if (filtersOnly) return copy;
+
+        copy.select = copy.select.map(swap);
+        copy.groupBy = copy.groupBy.map(swap);
+        copy.aggregates.forEach(agg => { agg.column = swap(agg.column); });
+        copy.orderBy.forEach(entry => {
+            if (entry.column) entry.column = swap(entry.column);
+            if (entry.aggregate) entry.aggregate.column = swap(entry.aggregate.column);
+        });
+        if (copy.timeBucket) copy.timeBucket.column = swap(copy.timeBucket.column);
+        // Picking a column that was already grouped would group by it twice
+        copy.groupBy = copy.groupBy.filter((col, i) => copy.groupBy.indexOf(col) === i);
+        return copy;
+    }
+
+    suggestQuestions() {
+        const columns = this.currentData.schema;
+        const textColumn = columns.find(col => this.getColumnType(col) === 'TEXT');
+        const numericColumn = columns.find(col => this.isNumericType(this.getColumnType(col)));
+        const dateColumn = columns.find(col => this.isDateType(this.getColumnType(col)));
+        const suggestions = [];
+
+        if (textColumn) suggestions.push(`Count by [${textColumn}]`);
+        if (numericColumn && textColumn) suggestions.push(`Total [${numericColumn}] by [${textColumn}]`);
+        if (dateColumn) suggestions.push(`Count per month of [${dateColumn}]`);
+        suggestions.push('Show me the first 10 rows');
+
+        return suggestions.map(question => ({ label: question, question }));
+    }
+
+    describeQuery(query) {
+        const list = items => items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+        let text;
+
+        if (query.rowLookup) {
+            const order = query.orderBy[0];
+            const extreme = order.direction === 'DESC' ? 'highest' : 'lowest';
+            return `Showing the ${query.limit > 1 ? `${query.limit} rows` : 'row'} with the ${extreme} ${order.column}${this.describeFilters(query.filters)}.`;
+        }
+
+        if (query.aggregates.length) {
+            text = list(query.aggregates.map(agg => this.describeAggregate(agg)));
+        } else if (query.select.length) {
+            text = `${query.distinct ? 'the distinct values of ' : ''}${list(query.select)}`;
+        } else {
+            text = 'all columns';
+        }
+
+        const groups = [...(query.timeBucket ? [`${query.timeBucket.grain} of ${query.timeBucket.column}`] : []), ...query.groupBy];
+        if (groups.length) {
+            text += ` for each ${list(groups)}`;
+        }
+        text += this.describeFilters(query.filters);
+
+        if (query.comparison) {
+            text += `, compared with the previous ${query.comparison.offset}`;
+        }
+        if (query.orderBy.length) {
+            text += `, sorted by ${query.orderBy.map(entry => this.describeOrder(entry, query)).join(', ')}`;
+        }
+        if (query.limit) {
+            text += `, limited to ${query.limit} ${query.limit === 1 ? 'row' : 'rows'}`;
+        }
+
+        return `Showing ${text}.`;
+    }
+
+    describeFilters(filters) {
+        if (!filters.length) return '';
+        return ' where ' + filters.map((filter, i) =>
+            `${i === 0 ? '' : filter.connector === 'OR' ? ' or ' : ' and '}${this.describeFilter(filter)}`).join('');
+    }
+
+    isFollowUpQuestion(question) {
+        const vocab = QUERY_VOCABULARY;
+        const q = question.toLowerCase().trim();
+        const firstWord = (q.match(/^[a-z']+/) || [''])[0];
+
+        if (vocab.followUpStarters.includes(firstWord) || /^(what|how) about\b/.test(q)) return true;
+        if (/\b(that|it|those|them|these)\b/.test(q.replace(/\bthis (day|week|month|quarter|year)\b/g, ''))) return true;
+        if (/\b(instead|too|as well|rather)\b/.test(q)) return true;
+
+        // A bare filter, sort or limit ("for Europe", "in 2023", "top 5") narrows what's on screen
+        if (vocab.freshQuestionStarters.includes(firstWord)) return false;
+        const fragment = this.parseQuestion(question, { fragment: true });
+        const definesResult = fragment.select.length || fragment.aggregates.length || fragment.groupBy.length ||
+            fragment.distinct || (fragment.pendingAggregates || []).length;
+        const refines = fragment.filters.length || fragment.limit || fragment.sortDirection || fragment.sortTarget || fragment.timeGrain;
+        return !definesResult && Boolean(refines);
+    }
+
+    applyFollowUp(previous, question) {
+        let fragment = this.parseQuestion(question, { fragment: true, context: previous });
+        const bare = /^\s*(?:(?:and|but|now|then|also|only|just|what about|how about)\s+)+(.*)$/i.exec(question);
+        const understood = fragment.filters.length || fragment.select.length || fragment.groupBy.length ||
+            fragment.timeGrain || (fragment.pendingAggregates || []).length;
+        if (bare && !understood) {
+            // "what about Asia", "only open": a bare value is a filter on whichever column holds it
+            fragment = this.parseQuestion(`for ${bare[1]}`, { fragment: true, context: previous });
+        }
+        const query = JSON.parse(JSON.stringify(previous));
+        const text = question.toLowerCase();
+        const replacing = /\b(instead|rather|change|switch|replace)\b/.test(text);
+        const adding = /\b(too|also|as well|additionally|plus)\b/.test(text);
+        const isNumeric = col => this.isNumericType(this.getColumnType(col));
+        const mentioned = [...fragment.select, ...fragment.groupBy];
+
+        // "remove the region filter", "clear filters"
+        if (/\b(remove|drop|clear|reset|without|no)\b.*\bfilters?\b/.test(text)) {
+            query.filters = mentioned.length ? query.filters.filter(filter => !mentioned.includes(filter.column)) : [];
+        }
+
+        // "now only for Europe" replaces an earlier region filter; "also for Asia" widens it
+        fragment.filters.forEach((filter, i) => {
+            if (!adding) {
+                query.filters = query.filters.filter(existing => existing.column !== filter.column);
+            }
+            query.filters.push({ ...filter, connector: i === 0 ? (adding && query.filters.some(f => f.column === filter.column) ? 'OR' : 'AND') : filter.connector });
+        });
+
+        // "break it down by status too" / "by status instead"
+        if (fragment.groupBy.length) {
+            const dimensions = fragment.groupBy.filter(col => !this.isDateType(this.getColumnType(col)) || !query.timeBucket);
+            query.groupBy = replacing ? dimensions : [...query.groupBy, ...dimensions.filter(col => !query.groupBy.includes(col))];
+            if (replacing && query.timeBucket && !fragment.timeGrain) query.timeBucket = null;
+        }
+        if (fragment.timeGrain) {
+            if (query.timeBucket) {
+                query.timeBucket.grain = fragment.timeGrain;
+            } else {
+                query.timeGrain = fragment.timeGrain;
+                this.resolveTimeBucket(query);
+            }
+            if (replacing && !fragment.groupBy.length) query.groupBy = [];
+        }
+
+        // "average instead", "show the max price", "what about quantity"
+        const pending = fragment.pendingAggregates || [];
+        const newAggregates = [...fragment.aggregates];
+        pending.forEach(agg => {
+            const measure = fragment.select.find(isNumeric) ||
+                (query.aggregates.find(a => a.column && isNumeric(a.column)) || {}).column ||
+                this.currentData.schema.find(isNumeric);
+            if (measure) newAggregates.push({ fn: agg.fn === 'COUNT_DISTINCT' ? 'COUNT_DISTINCT' : agg.fn, column: measure, word: agg.word });
+        });
+        if (!newAggregates.length && fragment.select.some(isNumeric) && query.aggregates.some(a => a.column)) {
+            const measure = fragment.select.find(isNumeric);
+            query.aggregates = query.aggregates.map(a => a.column ? { ...a, column: measure } : a);
+        }
+        if (newAggregates.length) {
+            query.aggregates = adding ? [...query.aggregates, ...newAggregates] : newAggregates;
+            query.rowLookup = false;
+            query.table = this.chooseBaseTable(query, question);
+        }
+
+        const grouped = query.groupBy.length > 0 || query.timeBucket !== null;
+        const wasGrouped = previous.groupBy.length > 0 || previous.timeBucket !== null;
+        if (grouped && !query.aggregates.length) {
+            query.aggregates.push({ fn: 'COUNT', column: null, word: 'count' });
+        }
+        if (grouped && query.select.length) {
+            // Row columns from the previous answer don't carry into a summary unless named again
+            const kept = wasGrouped ? query.select : query.select.filter(col => fragment.select.includes(col));
+            query.groupBy = [...query.groupBy, ...kept.filter(col => !query.groupBy.includes(col))];
+            query.select = [];
+        }
+
+        if (fragment.limit) {
+            query.limit = fragment.limit;
+            query.fromTop = fragment.fromTop;
+        } else if (grouped && !wasGrouped) {
+            // A row preview limit means nothing once the rows are summarised
+            query.limit = null;
+        } else if (/\b(show all|all of them|everything|no limit|remove the limit)\b/.test(text)) {
+            query.limit = null;
+        }
+
+        // Re-derive the order when the sort changed or what it pointed at is gone
+        const orderStillValid = query.orderBy.every(entry =>
+            (!entry.aggregate || query.aggregates.some(a => a.fn === entry.aggregate.fn && a.column === entry.aggregate.column)) &&
+            (!entry.bucket || query.timeBucket));
+        const reverse = /\b(reverse|flip)\b/.test(text);
+        if (fragment.sortTarget || !orderStillValid || newAggregates.length || fragment.groupBy.length || fragment.timeGrain) {
+            query.sortTarget = fragment.sortTarget;
+            query.sortDirection = fragment.sortDirection;
+            query.orderBy = [];
+            this.resolveOrder(query);
+            delete query.sortTarget;
+        } else if (fragment.fromTop && grouped && query.aggregates.length && !query.orderBy.some(entry => entry.aggregate)) {
+            // "top 5" ranks groups by their measure, whatever they were sorted by before
+            query.orderBy = [{ aggregate: query.aggregates[0], direction: fragment.sortDirection }];
+        } else if (fragment.sortDirection && query.orderBy.length) {
+            query.orderBy = query.orderBy.map(entry => ({ ...entry, direction: fragment.sortDirection }));
+        } else if (fragment.sortDirection) {
+            query.sortDirection = fragment.sortDirection;
+            this.resolveOrder(query);
+        }
+        if (reverse && query.orderBy.length && !fragment.sortDirection) {
+            query.orderBy = query.orderBy.map(entry => ({ ...entry, direction: entry.direction === 'ASC' ? 'DESC' : 'ASC' }));
+        }
+        if (fragment.fromTop === 'bottom' && query.orderBy.length) {
+            query.orderBy = query.orderBy.map(entry => ({ ...entry, direction: 'ASC' }));
+        }
+
+        if (fragment.chart) query.chart = true;
+        if (fragment.pivot) query.pivot = fragment.pivot;
+        if (!query.timeBucket) query.comparison = null;
+        query.guesses = fragment.guesses;
+        return query;
+    }
+
+    describeQueryChanges(previous, query) {
+        const changes = [];
+        const key = filter => this.compileFilter(filter);
+        const previousFilters = previous.filters.map(key);
+        const currentFilters = query.filters.map(key);
+
+        query.filters.forEach((filter, i) => {
+            if (!previousFilters.includes(currentFilters[i])) changes.push(`Added filter: ${this.describeFilter(filter)}`);
+        });
+        previous.filters.forEach((filter, i) => {
+            if (!currentFilters.includes(previousFilters[i])) changes.push(`Removed filter: ${this.describeFilter(filter)}`);
+        });
+
+        query.groupBy.filter(col => !previous.groupBy.includes(col)).forEach(col => changes.push(`Added grouping by ${col}`));
+        previous.groupBy.filter(col => !query.groupBy.includes(col)).forEach(col => changes.push(`Removed grouping by ${col}`));
+
+        const bucket = b => b ? `${b.grain} of ${b.column}` : null;
+        if (bucket(previous.timeBucket) !== bucket(query.timeBucket)) {
+            changes.push(query.timeBucket ? `Grouped by ${bucket(query.timeBucket)}` : 'Removed the time grouping');
+        }
+
+        const aggregates = q => q.aggregates.map(agg => this.describeAggregate(agg)).join(', ');
+        if (aggregates(previous) !== aggregates(query) && query.aggregates.length) {
+            changes.push(`Now showing ${aggregates(query)}`);
+        }
+
+        const order = q => q.orderBy.map(entry => this.describeOrder(entry, q)).join(', ');
+        if (order(previous) !== order(query) && query.orderBy.length) {
+            changes.push(`Sorted by ${order(query)}`);
+        }
+
+        if (previous.limit !== query.limit) {
+            changes.push(query.limit ? `Limited to ${query.limit} ${query.limit === 1 ? 'row' : 'rows'}` : 'Removed the row limit');
+        }
+
+        return changes;
+    }
+
+    describeFilter(filter) {
+        const value = filter.value;
+        const format = v => typeof v === 'string' ? `"${v}"` : String(v);
+        const not = filter.negate ? 'not ' : '';
+
+        switch (filter.op) {
+            case 'contains':
+                return `${filter.column} ${filter.negate ? 'does not contain' : 'contains'} ${format(value)}`;
+            case 'starts':
+                return `${filter.column} ${filter.negate ? 'does not start' : 'starts'} with ${format(value)}`;
+            case 'ends':
+                return `${filter.column} ${filter.negate ? 'does not end' : 'ends'} with ${format(value)}`;
+            case 'between':
+                return `${filter.column} is ${not}between ${format(value[0])} and ${format(value[1])}`;
+            case 'in':
+                return `${filter.column} is ${not}one of ${value.map(format).join(', ')}`;
+            case 'empty':
+                return `${filter.column} is ${not}empty`;
+            case 'dateRange': {
+                const parts = [];
+                if (value.from) parts.push(`on or after ${this.describeDateBound(value.from)}`);
+                if (value.to) parts.push(`before ${this.describeDateBound(value.to)}`);
+                return `${filter.column} ${filter.negate ? 'not ' : ''}${parts.join(' and ')}`;
+            }
+        }
+
+        const words = { '=': 'is', '!=': 'is not', '>': '>', '<': '<', '>=': '≥', '<=': '≤' };
+        const negated = { '=': '!=', '!=': '=', '>': '<=', '<': '>=', '>=': '<', '<=': '>' };
+        const op = filter.negate ? negated[filter.op] : filter.op;
+        return `${filter.column} ${words[op]} ${format(value)}`;
+    }
+
+    describeDateBound(bound) {
+        if (!Array.isArray(bound)) return bound;
+
+        const [first, second] = bound;
+        const ago = /^-(\d+) (\w+)$/.exec(first);
+        if (bound.length === 1 && ago) return `${ago[1]} ${ago[2]} ago`;
+        if (bound.length === 1 && first.startsWith('start of')) return `the ${first.replace('start of ', 'start of this ')}`;
+        if (bound.length === 2 && first.startsWith('start of') && /^-1 /.test(second)) return `the ${first.replace('start of ', 'start of last ')}`;
+        if (first === '-6 days') return bound.length === 2 ? 'the start of this week' : 'the start of last week';
+        return `today (${bound.join(', ')})`;
+    }
+
+    describeAggregate(agg) {
+        const names = { SUM: 'total', AVG: 'average', MIN: 'minimum', MAX: 'maximum', MEDIAN: 'median' };
+        if (agg.fn === 'COUNT') return agg.column ? `count of ${agg.column}` : 'count of rows';
+        if (agg.fn === 'COUNT_DISTINCT') return `number of unique ${agg.column}`;
+        return `${names[agg.fn]} ${agg.column}`;
+    }
+
+    describeOrder(entry, query) {
+        const direction = entry.direction === 'DESC' ? 'descending' : 'ascending';
+        if (entry.bucket) return `${query.timeBucket ? query.timeBucket.grain : 'period'} (${direction})`;
+        if (entry.aggregate) return `${this.describeAggregate(entry.aggregate)} (${direction})`;
+        return `${entry.column} (${direction})`;
+    }
+
+    tokenizeQuestion(question) {
+        const tokens = [];
+        const pattern = new RegExp([
+            '["“”](?<dq>[^"“”]*)["“”]',
+            '\\[(?<ref>[^\\]]+)\\]',
+            "(?:^|(?<=[\\s(=,:]))'(?<sq>[^']*)'(?=$|[\\s),.?!;:])",
+            '(?<date>\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}/\\d{1,2}/\\d{2,4})',
+            '(?<number>(?:(?<![\\p{L}\\p{N}])-)?[$€£]?(?:\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?|\\.\\d+))(?<suffix>k|m|bn|b|%)?(?![\\p{L}\\p{N}])',
+            '(?<op>>=|<=|!=|<>|=|>|<)',
+            "(?<word>[\\p{L}\\p{N}]+(?:'[\\p{L}]+)?)",
+            '(?<comma>,)'
+        ].join('|'), 'giu');
+        let match;
+
+        while ((match = pattern.exec(question)) !== null) {
+            const groups = match.groups;
+            const token = { text: match[0], start: match.index };
+            if (groups.dq !== undefined || groups.sq !== undefined) {
+                token.type = 'string';
+                token.value = groups.dq !== undefined ? groups.dq : groups.sq;
+            } else if (groups.ref !== undefined) {
+                token.type = 'columnRef';
+                token.value = groups.ref.trim();
+            } else if (groups.date !== undefined) {
+                token.type = 'date';
+                token.value = this.parseDate(groups.date);
+                if (!token.value) {
+                    token.type = 'word';
+                    token.value = groups.date;
+                }
+            } else if (groups.number !== undefined) {
+                token.type = 'number';
+                token.value = this.parseQuestionNumber(groups.number, groups.suffix);
+            } else if (groups.op !== undefined) {
+                token.type = 'operator';
+                token.value = groups.op === '<>' ? '!=' : groups.op;
+            } else if (groups.word !== undefined) {
+                token.type = 'word';
+                token.value = groups.word.toLowerCase();
+            } else {
+                token.type = 'punct';
+                token.value = ',';
+            }
+            // "does not contain" is one negation, not the value "does" followed by "not"
+            const previous = tokens[tokens.length - 1];
+            if (token.type === 'word' && token.value === 'not' && previous && previous.type === 'word' && ['do', 'does', 'did'].includes(previous.value)) {
+                previous.text = question.slice(previous.start, match.index + match[0].length);
+                previous.value = 'not';
+                continue;
+            }
+            tokens.push(token);
+        }
+
+        return tokens;
+    }
+
+    parseQuestionNumber(text, suffix) {
+        const multipliers = { k: 1e3, m: 1e6, b: 1e9, bn: 1e9 };
+        const value = parseFloat(text.replace(/[$€£,]/g, ''));
+        const multiplier = suffix ? multipliers[suffix.toLowerCase()] || 1 : 1;
+        // Round away floating point noise from "1.1k" style values
+        return multiplier === 1 ? value : Math.round(value * multiplier * 1e6) / 1e6;
+    }
+
+    splitIdentifierWords(name) {
+        // "OrderDate", "cust_id", "HTTPStatus" and "Revenue (USD)" all split into plain words
+        return String(name)
+            .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean);
+    }
+
+    markColumnMentions(tokens) {
+        const candidates = this.columnCandidates();
+        // With several tables "customers" on its own names a table, not customer_id
+        const tableNames = this.datasets.length > 1
+            ? this.datasets.map(d => this.splitIdentifierWords(d.tableName).map(word => this.stemWord(word)).join(' '))
+            : [];
+        const tokenWord = token => token.type === 'word' || token.type === 'number'
+            ? String(token.type === 'word' ? token.value : token.text).toLowerCase()
+            : null;
+        const claimed = tokens.map(token => {
+            // "[Sales Region]" names a column exactly, with no room for doubt
+            if (token.type !== 'columnRef') return null;
+            const column = this.currentData.schema.find(col => col.toLowerCase() === token.value.toLowerCase());
+            return column ? { type: 'column', column, text: token.text, score: 1 } : null;
+        });
+
+        // Every run of question words that lines up with a run of words in a column name or alias
+        const matches = [];
+        tokens.forEach((token, i) => {
+            if (claimed[i] !== null || tokenWord(token) === null) return;
+            for (const candidate of candidates) {
+                for (let start = 0; start < candidate.words.length; start++) {
+                    let length = 0;
+                    let total = 0;
+                    let usesVocabulary = false;
+                    while (i + length < tokens.length && start + length < candidate.words.length && claimed[i + length] === null) {
+                        const word = tokenWord(tokens[i + length]);
+                        const score = word === null ? 0 : this.compareWords(word, candidate.words[start + length]);
+                        if (!score) break;
+                        usesVocabulary = usesVocabulary || this.isVocabularyWord(word);
+                        total += score;
+                        length++;
+                    }
+                    if (!length || (candidate.prefix && start + length <= candidate.prefix)) continue;
+
+                    // "customer" covers cust_id and "revenue" covers Revenue (USD): units and ids don't need saying
+                    const covered = candidate.words.slice(start, start + length);
+                    const full = candidate.words.every(word => covered.includes(word) || QUERY_VOCABULARY.genericColumnWords.includes(word));
+                    const wordScore = total / length;
+                    // Query words like "order" or "count" only count as a column when they spell out the whole name
+                    if (usesVocabulary && !(full && wordScore === 1)) continue;
+                    if (!full && (candidate.alias || tokens.slice(i, i + length).every(t => QUERY_VOCABULARY.genericColumnWords.includes(tokenWord(t))))) continue;
+                    const run = tokens.slice(i, i + length).map(t => this.stemWord(tokenWord(t))).join(' ');
+                    if (tableNames.includes(run) && !(full && wordScore === 1 && length === candidate.words.length)) continue;
+
+                    const score = full ? wordScore : wordScore * (0.75 + 0.15 * length / candidate.words.length);
+                    matches.push({ index: i, length, column: candidate.column, score, full });
+                }
+            }
+        });
+
+        // Longest runs first so "sales region" wins over "region", then the closest match
+        matches.sort((a, b) => b.length - a.length || b.score - a.score);
+        for (const match of matches) {
+            const span = claimed.slice(match.index, match.index + match.length);
+            if (span.some(entry => entry !== null)) continue;
+
+            const mention = {
+                type: 'column',
+                column: match.column,
+                text: tokens.slice(match.index, match.index + match.length).map(t => t.text).join(' '),
+                score: match.score
+            };
+            // Columns that fit these words about as well, or contain them and hold the same kind of data, could be meant too
+            const alternatives = matches.filter(other => other.index === match.index && other.length === match.length &&
+                other.column !== match.column &&
+                (other.score >= match.score - 0.05 || (match.full && this.columnKind(other.column) === this.columnKind(match.column))));
+            const alternativeColumns = [...new Set(alternatives.map(other => other.column))];
+            if (alternativeColumns.length) mention.alternatives = alternativeColumns;
+            for (let j = match.index; j < match.index + match.length; j++) claimed[j] = mention;
+        }
+
+        const items = [];
+        tokens.forEach((token, i) => {
+            if (claimed[i] === null) {
+                items.push(token.type === 'columnRef' ? { ...token, type: 'string' } : token);
+            } else if (i === 0 || claimed[i - 1] !== claimed[i]) {
+                items.push(claimed[i]);
+            }
+        });
+        return items;
+    }
+
+    columnCandidates() {
+        const candidates = [];
+        this.currentData.schema.forEach(column => {
+            const words = this.splitIdentifierWords(column);
+            if (words.length) candidates.push({ column, words, alias: false });
+            // With several tables "customer segment" can name customers.segment
+            const source = this.columnSource(column);
+            if (this.datasets.length > 1 && source.column === column) {
+                const tableWords = this.splitIdentifierWords(source.table);
+                candidates.push({ column, words: [...tableWords, ...words], alias: false, prefix: tableWords.length });
+            }
+            (this.aliases[column] || []).forEach(alias => {
+                const aliasWords = this.splitIdentifierWords(alias);
+                if (aliasWords.length) candidates.push({ column, words: aliasWords, alias: true });
+            });
+        });
+        return candidates;
+    }
+
+    compareWords(word, columnWord) {
+        if (word === columnWord) return 1;
+        // Numbers and query vocabulary have to match exactly
+        const stem = this.stemWord(word);
+        if (/^\d/.test(word) || this.isVocabularyWord(word) || this.isVocabularyWord(stem)) return 0;
+
+        const columnStem = this.stemWord(columnWord);
+        if (stem === columnStem) return 0.95;
+        if (this.areSynonyms(stem, columnStem)) return 0.85;
+
+        // Typos: one edit in words of five letters or more, two from eight
+        const tolerance = Math.min(stem.length, columnStem.length) >= 8 ? 2 : Math.min(stem.length, columnStem.length) >= 5 ? 1 : 0;
+        if (tolerance && Math.abs(stem.length - columnStem.length) <= tolerance) {
+            const distance = this.editDistance(stem, columnStem);
+            if (distance <= tolerance) return 0.85 - 0.05 * distance;
+        }
+        return 0;
+    }
+
+    stemWord(word) {
+        if (word.length <= 3) return word;
+        if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+        if (/(ss|x|z|ch|sh|us)es$/.test(word)) return word.slice(0, -2);
+        if (/[^su]s$/.test(word) && !word.endsWith('is')) return word.slice(0, -1);
+        return word;
+    }
+
+    areSynonyms(a, b) {
+        return QUERY_VOCABULARY.columnSynonyms.some(group => {
+            const stems = group.map(word => this.stemWord(word));
+            return stems.includes(a) && stems.includes(b);
+        });
+    }
+
+    editDistance(a, b) {
+        // Damerau-Levenshtein, so swapped letters ("reveune") count as one edit
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
+    }
+
+    isVocabularyWord(word) {
+        if (!this.vocabularyWords) {
+            const vocab = QUERY_VOCABULARY;
+            const words = [
+                ...Object.keys(vocab.aggregateWords), ...Object.keys(vocab.timeGrains),
+                ...vocab.operators.flatMap(([phrase]) => phrase.split(' ')),
+                ...vocab.looseOperators, ...vocab.negations, ...vocab.filterStarters, ...vocab.groupStarters,
+                ...vocab.sortStarters, ...vocab.limitStarters, ...vocab.descending, ...vocab.ascending,
+                ...vocab.trendWords, ...vocab.chartWords, ...vocab.pivotWords, 'across', ...vocab.rowWords, ...vocab.emptyWords,
+                ...vocab.relativeDateWords, ...vocab.dateUnits, ...vocab.prepositions, ...vocab.fillerWords,
+                ...vocab.followUpStarters, ...vocab.freshQuestionStarters, ...vocab.questionWords
+            ];
+            this.vocabularyWords = new Set(words);
+        }
+        return this.vocabularyWords.has(word);
+    }
+
+    splitIntoClauses(items) {
+        const vocab = QUERY_VOCABULARY;
+        const clauses = [{ type: 'select', items: [] }];
+        let current = clauses[0];
+        let resumeType = null;
+
+        const startClause = (type) => {
+            current = { type, items: [] };
+            clauses.push(current);
+        };
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            const next = items[i + 1];
+            const word = item.type === 'word' ? item.value : null;
+
+            // A limit clause only holds its number, then parsing resumes where it was
+            if (current.type === 'limit' && item.type !== 'number' && resumeType) {
+                startClause(resumeType);
+                resumeType = null;
+            }
+
+            if (word && vocab.limitStarters.includes(word) && next && next.type === 'number' && Number.isInteger(next.value)) {
+                resumeType = current.type === 'limit' ? 'select' : current.type;
+                startClause('limit');
+                current.items.push(item, next);
+                i++;
+                continue;
+            }
+
+            if (word && (word === 'top' || word === 'bottom')) {
+                // "top regions by sales" without a number still implies a limit
+                resumeType = current.type;
+                startClause('limit');
+                current.items.push(item);
+                continue;
+            }
+
+            if (word && vocab.sortStarters.includes(word)) {
+                if (current.type !== 'sort') startClause('sort');
+                if (next && next.value === 'by') i++;
+                continue;
+            }
+
+            if (word && vocab.groupStarters.includes(word) && current.type !== 'sort') {
+                startClause('group');
+                continue;
+            }
+
+            if (word === 'across' && current.type !== 'sort') {
+                startClause('across');
+                continue;
+            }
+
+            if (word === 'for' && next && (next.value === 'each' || next.value === 'every')) {
+                startClause('group');
+                i++;
+                continue;
+            }
+
+            if (current.type !== 'filter' && this.startsDateExpression(items, i)) {
+                // "not in 2023" keeps its negation
+                const last = current.items[current.items.length - 1];
+                const negation = last && last.type === 'word' && vocab.negations.includes(last.value) ? current.items.pop() : null;
+                startClause('filter');
+                if (negation) current.items.push(negation);
+                current.items.push(item);
+                continue;
+            }
+
+            // "ends with" is an operator, not the start of a "with ..." filter
+            const previousOperator = i > 0 ? this.matchOperatorPhrase(items, i - 1) : null;
+            const partOfOperator = previousOperator && previousOperator.length > 1;
+
+            if (word && vocab.filterStarters.includes(word) && current.type !== 'filter' && !partOfOperator) {
+                startClause('filter');
+                // Negating starters ("except", "without") carry meaning, so keep them
+                if (vocab.negations.includes(word)) current.items.push(item);
+                continue;
+            }
+
+            current.items.push(item);
+        }
+
+        return clauses.filter(clause => clause.items.length > 0 || clause.type === 'sort');
+    }
+
+    startsDateExpression(items, index) {
+        const vocab = QUERY_VOCABULARY;
+        const item = items[index];
+        const next = items[index + 1];
+        if (!item || item.type !== 'word') return false;
+
+        if (item.value === 'in' || item.value === 'during') {
+            return this.isDateValueItem(next);
+        }
+        if (['today', 'yesterday', 'ytd'].includes(item.value)) {
+            return true;
+        }
+        if (vocab.relativeDateWords.includes(item.value) && next) {
+            const unit = next.type === 'number' ? items[index + 2] : next;
+            return Boolean(unit && vocab.dateUnits.includes(this.itemWord(unit)));
+        }
+        return false;
+    }
+
+    matchOperatorPhrase(items, index) {
+        const item = items[index];
+        if (item.type === 'operator') {
+            return { op: item.value, length: 1 };
+        }
+        if (item.type !== 'word') return null;
+
+        // "over time" is a trend, not a comparison
+        const next = items[index + 1];
+        if (item.value === 'over' && next && next.value === 'time') return null;
+
+        for (const [phrase, op] of QUERY_VOCABULARY.operators) {
+            const words = phrase.split(' ');
+            const matches = words.every((word, j) => {
+                const candidate = items[index + j];
+                return candidate && candidate.type === 'word' && candidate.value === word;
+            });
+            if (matches) return { op, length: words.length };
+        }
+        return null;
+    }
+
+    parseSelectClause(items, query) {
+        // Comparisons without "where" ("price greater than 100") are filters too
+        const splitAt = this.findInlineFilterStart(items);
+        if (splitAt !== -1) {
+            this.parseFilterClause(items.slice(splitAt), query);
+            items = items.slice(0, splitAt);
+        }
+
+        const words = items.filter(item => item.type === 'word').map(item => item.value);
+        if (words.includes('all') && !words.some(word => QUERY_VOCABULARY.aggregateWords[word])) {
+            query.showAll = true;
+        }
+
+        // "show 10 rows"
+        items.forEach((item, i) => {
+            const next = items[i + 1];
+            if (item.type === 'number' && Number.isInteger(item.value) && next && QUERY_VOCABULARY.rowWords.includes(next.value)) {
+                query.limit = item.value;
+            }
+        });
+
+        this.parseMeasureItems(items, query, 'select');
+    }
+
+    findInlineFilterStart(items) {
+        const vocab = QUERY_VOCABULARY;
+        for (let i = 0; i < items.length; i++) {
+            const match = this.matchOperatorPhrase(items, i);
+            if (!match) continue;
+
+            const next = items[i + match.length];
+            const previous = items[i - 1];
+
+            if (vocab.looseOperators.includes(items[i].value)) {
+                // "status is open" is a filter, "what is the average" is not
+                const isValue = next && (next.type === 'number' || next.type === 'string' || next.type === 'date' ||
+                    (next.type === 'word' && !vocab.fillerWords.includes(next.value) && !vocab.aggregateWords[next.value] &&
+                        !vocab.negations.includes(next.value) && !this.matchOperatorPhrase(items, i + match.length)));
+                const negatedValue = next && vocab.negations.includes(next.value);
+                if (previous && previous.type === 'column' && (isValue || negatedValue)) return i - 1;
+                continue;
+            }
+
+            if (items[i].value === 'in' && !this.isDateValueItem(next)) {
+                // "region in Europe, Asia" lists region values; "sales in Europe" and "count not in Asia"
+                // filter whichever column holds the value, so the filter starts at "in" (or its "not")
+                const negated = previous && vocab.negations.includes(previous.value);
+                const start = negated ? i - 1 : i;
+                const subject = items[start - 1];
+                if (!next || next.type === 'column') continue;
+                if (subject && subject.type === 'column' && !this.isNumericType(this.getColumnType(subject.column))) return start - 1;
+                if ((subject && subject.type === 'column') || this.findColumnForValue(this.itemWord(next))) return start;
+                continue;
+            }
+
+            // "sales before March": a date comparison belongs to the date column, not the measure
+            const dateOperator = ['before', 'after', 'since', 'until', 'in', 'during'].includes(items[i].value);
+            for (let j = i - 1; j >= 0; j--) {
+                if (items[j].type === 'column') {
+                    const isDateColumn = this.isDateType(this.getColumnType(items[j].column));
+                    return dateOperator && !isDateColumn ? i : j;
+                }
+            }
+            return i;
+        }
+
+        // A quoted value in a search question is a text filter
+        const searching = items.some(item => ['find', 'search', 'lookup', 'look'].includes(item.value));
+        const quoted = items.findIndex(item => item.type === 'string');
+        if (searching && quoted !== -1) {
+            for (let j = quoted - 1; j >= 0; j--) {
+                if (items[j].type === 'column') return j;
+            }
+            return quoted;
+        }
+
+        return -1;
+    }
+
+    parseMeasureItems(items, query, role) {
+        const vocab = QUERY_VOCABULARY;
+        let pending = null;
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            const next = items[i + 1];
+
+            if (item.type === 'column') {
+                if (pending) {
+                    this.addAggregate(query, pending.fn, item.column, pending.word);
+                    pending = null;
+                } else if (role === 'group') {
+                    if (!query.groupBy.includes(item.column)) query.groupBy.push(item.column);
+                } else if (query.distinct && !query.select.length) {
+                    query.select.push(item.column);
+                } else if (!query.select.includes(item.column)) {
+                    query.select.push(item.column);
+                }
+                continue;
+            }
+
+            if (item.type !== 'word') continue;
+            const word = item.value;
+
+            // "by month" / "per week" bucket a date; in the select clause only "monthly"-style adjectives do
+            const grain = vocab.timeGrains[word];
+            if (grain && (role === 'group' || vocab.grainAdjectives.includes(word))) {
+                query.timeGrain = grain;
+                continue;
+            }
+            if (vocab.trendWords.includes(word) || (word === 'over' && next && next.value === 'time')) {
+                query.trend = true;
+                continue;
+            }
+
+            if (word === 'unique' || word === 'distinct' || word === 'different') {
+                if (pending && pending.fn === 'COUNT') {
+                    pending.fn = 'COUNT_DISTINCT';
+                } else {
+                    query.distinct = true;
+                }
+                continue;
+            }
+
+            if (word === 'how' && next && next.value === 'many') {
+                pending = { fn: 'COUNT', word: 'count' };
+                i++;
+                continue;
+            }
+
+            if (word === 'number' && next && next.value === 'of') {
+                pending = { fn: 'COUNT', word: 'count' };
+                i++;
+                continue;
+            }
+
+            const fn = vocab.aggregateWords[word];
+            if (fn) {
+                // "total number of", "total count" are counts, not sums
+                if (pending && pending.fn === 'SUM' && fn === 'COUNT') {
+                    pending = { fn, word };
+                    continue;
+                }
+                if (pending) this.flushPendingAggregate(query, pending);
+                pending = { fn, word };
+            }
+        }
+
+        if (pending) this.flushPendingAggregate(query, pending);
+    }
+
+    flushPendingAggregate(query, pending) {
+        if (pending.fn === 'COUNT') {
+            this.addAggregate(query, 'COUNT', null, pending.word);
+            return;
+        }
+        // The measure is named elsewhere ("average of price by region") or not at all
+        query.pendingAggregates = query.pendingAggregates || [];
+        query.pendingAggregates.push(pending);
+    }
+
+    addAggregate(query, fn, column, word) {
+        const exists = query.aggregates.some(agg => agg.fn === fn && agg.column === column);
+        if (!exists) {
+            query.aggregates.push({ fn, column, word });
+        }
+    }
+
+    parseGroupClause(items, query) {
+        this.parseMeasureItems(items, query, 'group');
+        query.hasGroupClause = true;
+        const hasGrain = items.some(item => item.type === 'word' && QUERY_VOCABULARY.timeGrains[item.value]);
+        if (!items.some(item => item.type === 'column') && !hasGrain) {
+            // Fall back to synonyms for "count items by type" when no column is literally named
+            const text = items.map(item => item.text).join(' ');
+            const column = this.findColumnInQuestion(text, query);
+            if (column && !query.groupBy.includes(column)) query.groupBy.push(column);
+        }
+    }
+
+    parseFilterClause(items, query) {
+        const vocab = QUERY_VOCABULARY;
+        const conditions = [];
+        let current = { column: null, op: null, value: [], negate: false, connector: 'AND' };
+
+        const finish = (connector) => {
+            if (current.value.length > 0) {
+                conditions.push(current);
+            } else if (current.column && current.negate) {
+                // "without email" / "no email" means the column is empty
+                current.op = 'empty';
+                current.negate = false;
+                current.value.push({ type: 'word', value: 'empty', text: 'empty' });
+                conditions.push(current);
+            }
+            current = { column: null, op: null, value: [], negate: false, connector };
+        };
+
+        const startsNewCondition = (item) => item && (item.type === 'column' || item.type === 'operator' ||
+            (item.type === 'word' && (vocab.negations.includes(item.value) || this.matchOperatorPhrase(items, items.indexOf(item)))));
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            const isSeparator = (item.type === 'word' && (item.value === 'and' || item.value === 'or')) || item.type === 'punct';
+
+            if (isSeparator) {
+                const hasValue = current.value.some(v => v.type !== 'sep');
+                // "between 10 and 20" and "in Europe, Asia or Africa" keep collecting values
+                const inBetween = current.op === 'between' && item.value === 'and' && !current.value.some(v => v.type === 'sep');
+                const inList = current.op === 'in' && hasValue && !startsNewCondition(items[i + 1]) && !this.isDateValueItem(current.value[0]);
+                if (hasValue && (inBetween || inList)) {
+                    current.value.push({ type: 'sep', value: item.value });
+                } else if (hasValue) {
+                    finish(item.value === 'or' ? 'OR' : 'AND');
+                } else if (item.value === 'or') {
+                    current.connector = 'OR';
+                }
+                continue;
+            }
+
+            if (item.type === 'column') {
+                if (current.op && current.value.length === 0) {
+                    current.value.push(item);
+                } else if (current.value.length > 0 && !current.column) {
+                    // "'P2' in name": the column comes after the value
+                    while (current.value.length > 1 && vocab.prepositions.includes(current.value[current.value.length - 1].value)) {
+                        current.value.pop();
+                    }
+                    current.column = item.column;
+                } else {
+                    if (current.value.length > 0) finish('AND');
+                    current.column = item.column;
+                }
+                continue;
+            }
+
+            // "status is open in 2023": a date expression after a value starts a new condition
+            if (this.startsDateExpression(items, i)) {
+                if (current.value.length > 0) finish('AND');
+                if (item.value !== 'in' && item.value !== 'during') {
+                    // Keep "this year" together even when a column is called "year"
+                    const length = ['today', 'yesterday', 'ytd'].includes(item.value) ? 1 : (items[i + 1].type === 'number' ? 3 : 2);
+                    items.slice(i, i + length).forEach(part => current.value.push(part.type === 'column'
+                        ? { type: 'word', value: this.itemWord(part), text: part.text }
+                        : part));
+                    i += length - 1;
+                    continue;
+                }
+            }
+
+            const operator = this.matchOperatorPhrase(items, i);
+            if (operator) {
+                const loose = vocab.looseOperators.includes(item.value);
+                if (operator.op === 'in' && current.value.length > 0) {
+                    // A preposition between a value and its column, handled above
+                } else if (!(loose && current.op)) {
+                    current.op = loose ? 'is' : operator.op;
+                }
+                i += operator.length - 1;
+                continue;
+            }
+
+            if (item.type === 'word' && vocab.negations.includes(item.value)) {
+                // "price <= 50 except Asia" starts a new, negated condition
+                if (current.value.length > 0) finish('AND');
+                current.negate = !current.negate;
+                continue;
+            }
+
+            // "starts with A" means the letter, not the article
+            const letter = ['starts', 'ends'].includes(current.op) && item.text.length === 1;
+            // "products that don't end with a": the relative pronoun isn't a value either
+            const filler = vocab.fillerWords.includes(item.value) || ['that', 'which', 'who'].includes(item.value);
+            if (item.type === 'word' && current.value.length === 0 && filler && !letter) {
+                continue;
+            }
+
+            current.value.push(item);
+        }
+        finish('AND');
+
+        let previous = null;
+        for (const condition of conditions) {
+            const filter = this.buildFilter(condition, previous, query);
+            if (filter) {
+                query.filters.push(filter);
+                previous = filter;
+            }
+        }
+    }
+
+    buildFilter(condition, previous, query) {
+        let { column, op, negate } = condition;
+        let connector = condition.connector;
+        let valueItems = condition.value;
+
+        // "year > 2020" without a year column means the year of the date column
+        if (!column && valueItems.length === 2 && this.itemWord(valueItems[0]) === 'year' && this.isDateValueItem(valueItems[1])) {
+            valueItems = valueItems.slice(1);
+        }
+
+        // "region is Europe or Asia", "except Europe and Asia": carry the previous column over,
+        // unless the value obviously doesn't fit it ("price <= 50 except Asia")
+        const textValue = valueItems.length > 0 && valueItems.every(item => item.type === 'word' || item.type === 'string');
+        if (previous && textValue && this.isNumericType(this.getColumnType(previous.column))) {
+            previous = null;
+        }
+        // "status is open this month": a date phrase never continues a text condition
+        if (!column && valueItems.length && valueItems[0].type !== 'number' && this.isDateValueItem(valueItems[0])) {
+            previous = null;
+        }
+        if (!column && !op && previous) {
+            column = previous.column;
+            op = previous.looseOp ? 'is' : previous.op;
+            negate = negate || previous.negate;
+        } else if (!column && previous) {
+            column = previous.column;
+        }
+
+        const dateFilter = this.buildDateFilter(valueItems, column, op, query);
+        if (dateFilter) {
+            // "in 2023 and 2024": one date can't fall in two separate periods, so either will do
+            const { from, to } = dateFilter.value;
+            const last = previous && previous.op === 'dateRange' && previous.column === dateFilter.column && !previous.negate ? previous.value : null;
+            const separate = last && !negate && from && to && last.from && last.to && (from >= last.to || to <= last.from);
+            return { ...dateFilter, negate, connector: separate && connector === 'AND' ? 'OR' : connector, looseOp: false };
+        }
+
+        // Split "a, b and c" / "10 and 20" into separate values
+        const groups = [[]];
+        valueItems.forEach(item => {
+            if (item.type === 'sep') groups.push([]);
+            else groups[groups.length - 1].push(item);
+        });
+        const values = groups.filter(group => group.length > 0).map(group => this.valueFromItems(group));
+        const quoted = valueItems.length === 1 && valueItems[0].type === 'string';
+        let value = values[0];
+
+        if (values.length === 1 && typeof value === 'string' && QUERY_VOCABULARY.emptyWords.includes(value.toLowerCase()) && (!op || op === 'is')) {
+            op = 'empty';
+            value = null;
+        }
+
+        const numbers = valueItems.filter(item => item.type === 'number');
+        if (!column && numbers.length && ['>', '<', '>=', '<=', 'between'].includes(op)) {
+            // A number is never compared with a text column; ask which number column was meant
+            if (op === 'between' && numbers.length < 2) return null;
+            const candidates = this.currentData.schema.filter(col => this.isNumericType(this.getColumnType(col)));
+            const text = valueItems.filter(item => item.type !== 'number' && item.type !== 'sep').map(item => item.text).join(' ');
+            const value = op === 'between' ? [numbers[0].value, numbers[1].value] : numbers[0].value;
+            this.recordGuess(query, { text, column: null, candidates, confidence: 0.3, filter: { op, value, negate, connector } });
+            return null;
+        }
+
+        if (!column) {
+            const preferred = [...query.groupBy, ...query.select, ...(query.contextColumns || [])];
+            column = typeof value === 'string' ? this.findColumnForValue(value, preferred, query) : null;
+            if (!column && preferred.length) {
+                column = preferred[0];
+                this.recordGuess(query, { text: String(value), column, candidates: this.similarColumns(column), confidence: 0.4, filterOnly: true });
+            } else if (!column) {
+                column = this.findColumnInQuestion(String(value), query);
+            }
+        }
+        if (!column) return null;
+
+        const looseOp = !op || op === 'is';
+        if (looseOp) {
+            op = quoted ? 'contains' : '=';
+        }
+
+        if (op === 'between') {
+            if (values.length < 2) return null;
+            value = values.slice(0, 2);
+        } else if (op === 'in') {
+            value = values;
+        } else if (values.length > 1 && (op === '=' || op === '!=')) {
+            // "region is Europe, Asia" reads as a list
+            negate = op === '!=' ? !negate : negate;
+            op = 'in';
+            value = values;
+        }
+
+        // One value can't equal two things, so "Europe and Asia" means either
+        const matching = filterOp => filterOp === '=' || filterOp === 'in';
+        if (previous && connector === 'AND' && previous.column === column && matching(op) && matching(previous.op) && !negate && !previous.negate) {
+            connector = 'OR';
+        }
+
+        return { column, op, value, negate, connector, looseOp };
+    }
+
+    valueFromItems(items) {
+        // "for enterprise customers": the table name says where to look, it isn't part of the value
+        const last = items[items.length - 1];
+        if (items.length > 1 && last.type === 'word' && this.datasets.length > 1 &&
+            this.datasets.some(d => this.stemWord(d.tableName.toLowerCase()) === this.stemWord(last.value.toLowerCase()))) {
+            items = items.slice(0, -1);
+        }
+        if (items.length === 1 && (items[0].type === 'number' || items[0].type === 'string' || items[0].type === 'date')) {
+            return items[0].value;
+        }
+        return items.map(item => item.text).join(' ');
+    }
+
+    isDateValueItem(item) {
+        if (!item) return false;
+        if (item.type === 'date') return true;
+        if (item.type === 'number') return Number.isInteger(item.value) && item.value >= 1900 && item.value <= 2100;
+        return item.type === 'word' && (this.monthFromName(item.value) >= 0 || /^q[1-4]$/.test(item.value) ||
+            QUERY_VOCABULARY.relativeDateWords.includes(item.value));
+    }
+
+    itemWord(item) {
+        // Columns named like plain words ("year", "month") still read as words in date phrases
+        return item.type === 'column' ? item.text.toLowerCase() : item.value;
+    }
+
+    buildDateFilter(valueItems, column, op, query) {
+        if (!valueItems.length || valueItems.some(item => item.type === 'sep') || !this.isDateValueItem(valueItems[0])) {
+            return null;
+        }
+
+        const dateColumns = this.currentData.schema.filter(col => this.isDateType(this.getColumnType(col)));
+        if (column && !dateColumns.includes(column)) {
+            return null;
+        }
+        const dateColumn = column || [...query.groupBy, ...query.select].find(col => dateColumns.includes(col)) || dateColumns[0];
+
+        if (!dateColumn) {
+            // No date column: "in 2023" can still match a numeric year column
+            const year = valueItems.length === 1 && valueItems[0].type === 'number' ? valueItems[0].value : null;
+            const yearColumn = this.currentData.schema.find(col => /year/i.test(col));
+            return year && yearColumn && !column ? { column: yearColumn, op: '=', value: year } : null;
+        }
+
+        const range = this.parseDateRange(valueItems, dateColumn);
+        if (!range) return null;
+
+        // "before March" ends where March starts, "after March" starts where it ends
+        let { from, to } = range;
+        if (op === '<' || op === '<=') {
+            [from, to] = [null, op === '<' ? from : to];
+        } else if (op === '>' || op === '>=') {
+            [from, to] = [op === '>' ? to : from, null];
+        }
+
+        return { column: dateColumn, op: 'dateRange', value: { from, to } };
+    }
+
+    parseDateRange(items, column) {
+        const words = items.map(item => this.itemWord(item));
+        const first = items[0];
+
+        if (first.type === 'date') {
+            return { from: first.value, to: this.shiftISODate(first.value, { days: 1 }) };
+        }
+
+        if (first.type === 'number') {
+            return { from: `${first.value}-01-01`, to: `${first.value + 1}-01-01` };
+        }
+
+        const yearItem = items.find(item => item.type === 'number' && Number.isInteger(item.value) && item.value >= 1900 && item.value <= 2100);
+        const year = yearItem ? yearItem.value : this.latestYearInColumn(column);
+
+        const quarter = /^q([1-4])$/.exec(words[0]);
+        if (quarter) {
+            const start = `${year}-${String((quarter[1] - 1) * 3 + 1).padStart(2, '0')}-01`;
+            return { from: start, to: this.shiftISODate(start, { months: 3 }) };
+        }
+
+        const month = this.monthFromName(String(words[0]));
+        if (month >= 0) {
+            // "March 5, 2023" is a single day
+            const day = items[1] && items[1].type === 'number' && items[1].value <= 31 ? items[1].value : null;
+            const start = this.buildISODate(year, month + 1, day || 1);
+            if (!start) return null;
+            return { from: start, to: this.shiftISODate(start, day ? { days: 1 } : { months: 1 }) };
+        }
+
+        return this.parseRelativeDateRange(words);
+    }
+
+    parseRelativeDateRange(words) {
+        const units = { day: 'days', days: 'days', week: 'weeks', weeks: 'weeks', month: 'months', months: 'months',
+            quarter: 'quarters', quarters: 'quarters', year: 'years', years: 'years' };
+        const [first, second, third] = words;
+
+        if (first === 'today') return { from: ['start of day'], to: null };
+        if (first === 'yesterday') return { from: ['start of day', '-1 day'], to: ['start of day'] };
+        if (first === 'ytd') return { from: ['start of year'], to: null };
+
+        // "last 30 days", "past 6 months"
+        if (['last', 'past', 'previous'].includes(first) && typeof second === 'number' && units[third]) {
+            const unit = units[third];
+            const amount = unit === 'weeks' ? second * 7 : unit === 'quarters' ? second * 3 : second;
+            const sqlUnit = unit === 'weeks' ? 'days' : unit === 'quarters' ? 'months' : unit;
+            return { from: [`-${amount} ${sqlUnit}`], to: null };
+        }
+
+        // "last month" and "this year" are calendar periods
+        const unit = units[second];
+        if (['last', 'previous', 'this', 'current'].includes(first) && unit) {
+            const previous = first === 'last' || first === 'previous';
+            switch (unit) {
+                case 'days':
+                    return previous ? { from: ['start of day', '-1 day'], to: ['start of day'] } : { from: ['start of day'], to: null };
+                case 'weeks':
+                    return previous
+                        ? { from: ['-6 days', 'weekday 1', '-7 days'], to: ['-6 days', 'weekday 1'] }
+                        : { from: ['-6 days', 'weekday 1'], to: null };
+                case 'months':
+                    return previous ? { from: ['start of month', '-1 month'], to: ['start of month'] } : { from: ['start of month'], to: null };
+                case 'quarters':
+                    return previous ? { from: ['-3 months'], to: null } : { from: ['start of month', '-2 months'], to: null };
+                case 'years':
+                    return previous ? { from: ['start of year', '-1 year'], to: ['start of year'] } : { from: ['start of year'], to: null };
+            }
+        }
+
+        return null;
+    }
+
+    shiftISODate(iso, { days = 0, months = 0 }) {
+        const [y, m, d] = iso.substring(0, 10).split('-').map(Number);
+        const date = new Date(Date.UTC(y, m - 1 + months, d + days));
+        return date.toISOString().substring(0, 10);
+    }
+
+    latestYearInColumn(column) {
+        const profile = this.currentData && column ? this.currentData.profiles[column] : null;
+        const latest = profile ? profile.max : null;
+        return latest ? parseInt(String(latest).substring(0, 4)) : new Date().getFullYear();
+    }
+
+    findColumnForValue(value, preferred = [], query = null) {
+        if (!this.currentData || !value) return null;
+
+        const textColumns = this.currentData.schema.filter(col => this.getColumnType(col) === 'TEXT');
+        const ordered = [...preferred.filter(col => textColumns.includes(col)), ...textColumns.filter(col => !preferred.includes(col))];
+        const matches = [];
+
+        for (const column of ordered) {
+            // Columns with too many different values to list aren't searched
+            const values = (this.currentData.profiles[column] || {}).values;
+            if (values && values.has(String(value).toLowerCase())) matches.push(column);
+            // A value in a column the question already mentions needs no second opinion
+            if (matches.length && preferred.includes(matches[0])) break;
+        }
+
+        if (query && matches.length > 1) {
+            this.recordGuess(query, { text: value, column: matches[0], candidates: matches, confidence: 0.6, filterOnly: true });
+        }
+        return matches[0] || null;
+    }
+
+    parseSortClause(items, query) {
+        const vocab = QUERY_VOCABULARY;
+        query.explicitSort = true;
+        let pendingFn = null;
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            const next = items[i + 1];
+
+            if (item.type === 'word') {
+                if (vocab.descending.includes(item.value)) query.sortDirection = 'DESC';
+                else if (vocab.ascending.includes(item.value)) query.sortDirection = 'ASC';
+
+                // "high to low" / "low to high" / "a to z"
+                if (next && next.value === 'to') {
+                    if (item.value === 'high' || item.value === 'z') query.sortDirection = 'DESC';
+                    if (item.value === 'low' || item.value === 'a') query.sortDirection = 'ASC';
+                }
+
+                const fn = vocab.aggregateWords[item.value];
+                if (fn && !vocab.descending.includes(item.value) && !vocab.ascending.includes(item.value)) {
+                    pendingFn = fn;
+                    if (fn === 'COUNT') query.sortTarget = { fn: 'COUNT', column: null };
+                }
+            } else if (item.type === 'column') {
+                query.sortTarget = { fn: pendingFn, column: item.column };
+                pendingFn = null;
+            }
+        }
+    }
+
+    parseLimitClause(items, query) {
+        const word = items[0].value;
+        const number = items.find(item => item.type === 'number');
+        query.limit = number ? number.value : (query.limit || 10);
+        query.fromTop = word === 'bottom' ? 'bottom' : 'top';
+        if (word === 'bottom') {
+            query.sortDirection = 'ASC';
+        } else if (word === 'top' && !query.sortDirection) {
+            query.sortDirection = 'DESC';
+        }
+    }
+
+    finalizeQuery(query, question) {
+        const isNumeric = col => this.isNumericType(this.getColumnType(col));
+        const pending = query.pendingAggregates || [];
+        delete query.pendingAggregates;
+
+        // Measures named without a column: use a mentioned numeric column, then any numeric column
+        for (const agg of pending) {
+            const mentioned = [...query.select, ...query.groupBy].find(isNumeric);
+            let column = mentioned;
+            if (agg.fn === 'COUNT_DISTINCT') {
+                // "how many unique categories": the dimension is usually not numeric
+                column = query.select[0] || this.findColumnInQuestion(question, query);
+                query.select = query.select.filter(col => col !== column);
+            } else if (column) {
+                query.select = query.select.filter(col => col !== column);
+                query.groupBy = query.groupBy.filter(col => col !== column);
+            } else if (agg.fn === 'SUM' && agg.word === 'total' && !query.select.length) {
+                // "total rows" with nothing to sum is a count
+                this.addAggregate(query, 'COUNT', null, 'count');
+                continue;
+            } else {
+                column = this.currentData.schema.find(isNumeric);
+                if (column) {
+                    this.recordGuess(query, { text: agg.word, column, candidates: this.similarColumns(column), confidence: 0.5 });
+                } else {
+                    column = this.findColumnInQuestion(question, query);
+                }
+            }
+            this.addAggregate(query, agg.fn, column, agg.word);
+        }
+
+        this.resolveTimeBucket(query);
+        const grouped = () => query.groupBy.length > 0 || query.timeBucket !== null;
+
+        // "top 5 products by revenue": the "by" column is what we rank on, not a grouping
+        if (query.fromTop && query.groupBy.length === 1 && isNumeric(query.groupBy[0]) && !query.aggregates.length) {
+            const measure = query.groupBy[0];
+            const dimensions = query.select.filter(col => !isNumeric(col));
+            query.groupBy = dimensions;
+            query.select = dimensions.length ? [] : query.select;
+            if (dimensions.length) {
+                this.addAggregate(query, 'SUM', measure, 'total');
+            } else {
+                query.sortTarget = { fn: null, column: measure };
+            }
+        }
+
+        // "highest price" without grouping returns the matching row, as it always has
+        const onlyExtremes = query.aggregates.length > 0 && query.aggregates.every(agg => agg.fn === 'MAX' || agg.fn === 'MIN');
+        if (onlyExtremes && !grouped() && !query.select.length) {
+            const agg = query.aggregates[0];
+            query.aggregates = [];
+            query.rowLookup = true;
+            query.orderBy = [{ column: agg.column, direction: agg.fn === 'MAX' ? 'DESC' : 'ASC' }];
+            query.limit = query.limit || 1;
+        }
+
+        // Charts and "by" questions without a measure count rows per group
+        if (!grouped() && !query.aggregates.length && query.chart && !query.distinct) {
+            const dimensions = query.select.length ? query.select : [this.findColumnInQuestion(question, query)].filter(Boolean);
+            query.groupBy = dimensions.slice(0, 1);
+            query.select = [];
+        }
+        // "sales by region": a bare measure next to a grouping is summed
+        if (grouped() && !query.aggregates.length) {
+            query.select.filter(isNumeric).forEach(col => this.addAggregate(query, 'SUM', col, 'total'));
+            query.select = query.select.filter(col => !isNumeric(col));
+        }
+        if (grouped() && !query.aggregates.length) {
+            this.addAggregate(query, 'COUNT', null, 'count');
+        }
+
+        // Anything still selected alongside a grouping becomes part of the grouping
+        if (grouped() && query.select.length) {
+            query.select.forEach(col => {
+                if (!query.groupBy.includes(col)) query.groupBy.push(col);
+            });
+            query.select = [];
+        }
+
+        if (query.distinct && !query.select.length && !query.aggregates.length) {
+            const column = this.findColumnInQuestion(question, query);
+            if (column) query.select = [column];
+        }
+
+        this.resolveOrder(query);
+
+        const understoodNothing = !query.select.length && !query.aggregates.length && !grouped() &&
+            !query.filters.length && !query.limit && !query.distinct && !query.showAll && !query.orderBy.length;
+        if (understoodNothing) {
+            query.limit = 20;
+            this.recordGuess(query, { text: question, column: null, candidates: [], confidence: 0.2 });
+        }
+
+        query.table = this.chooseBaseTable(query, question);
+
+        delete query.sortTarget;
+        delete query.explicitSort;
+        delete query.hasGroupClause;
+        delete query.contextColumns;
+        if (!query.timeBucket) query.comparison = null;
+    }
+
+    extractPeriodComparison(question) {
+        const grains = 'day|week|month|quarter|year';
+        const patterns = [
+            { regex: /\b(?:year[\s-]over[\s-]year|yoy|y\/y)\b/i, offset: 'year', grain: null },
+            { regex: new RegExp(`\\b(${grains})[\\s-]over[\\s-]\\1\\b`, 'i'), offset: null, grain: 1 },
+            { regex: /\b(?:mom|m\/m)\b/i, offset: 'month', grain: 'month' },
+            { regex: /\bwow\b/i, offset: 'week', grain: 'week' },
+            { regex: /\bqoq\b/i, offset: 'quarter', grain: 'quarter' },
+            { regex: new RegExp(`\\b(?:vs\\.?|versus|compared (?:to|with)|against)\\s+(?:the\\s+)?(?:previous|prior|last|same)\\s+(${grains})(?:\\s+last\\s+year)?\\b`, 'i'), offset: 1, grain: null }
+        ];
+
+        for (const pattern of patterns) {
+            const match = question.match(pattern.regex);
+            if (!match) continue;
+
+            const captured = match[1] ? match[1].toLowerCase() : null;
+            const offset = pattern.offset === 1 ? captured : (pattern.offset || captured);
+            const grain = pattern.grain === 1 ? captured : pattern.grain;
+            // "growth" next to a comparison is already implied
+            const text = question.replace(match[0], ' ').replace(/\b(growth|change)\b/i, ' ');
+            return { comparison: { offset, grain }, text };
+        }
+
+        // "monthly revenue growth" compares each period with the one before it
+        const growth = question.match(/\b(growth|change)\b/i);
+        const isColumn = growth && this.currentData.schema.some(col => col.toLowerCase() === growth[1].toLowerCase());
+        if (growth && !isColumn) {
+            return { comparison: { offset: null, grain: null }, text: question.replace(growth[0], ' ') };
+        }
+
+        return { comparison: null, text: question };
+    }
+
+    resolveTimeBucket(query) {
+        const comparison = query.comparison;
+        const wantsBucket = query.timeGrain || query.trend || comparison;
+        const grainWord = query.timeGrain;
+        delete query.timeGrain;
+        delete query.trend;
+        if (!wantsBucket) return;
+
+        const dateColumns = this.currentData.schema.filter(col => this.isDateType(this.getColumnType(col)));
+        const column = [...query.select, ...query.groupBy].find(col => dateColumns.includes(col)) || dateColumns[0];
+        if (!column) return;
+
+        query.select = query.select.filter(col => col !== column);
+        query.groupBy = query.groupBy.filter(col => col !== column);
+
+        const grain = grainWord || (comparison && (comparison.grain || comparison.offset)) || this.autoTimeGrain(column);
+        query.timeBucket = { column, grain };
+        if (comparison && !comparison.offset) {
+            comparison.offset = grain;
+        }
+    }
+
+    autoTimeGrain(column) {
+        const profile = this.currentData ? this.currentData.profiles[column] : null;
+        if (!profile || !profile.min || !profile.max) return 'month';
+        const day = value => Date.parse(String(value).substring(0, 10));
+        const span = (day(profile.max) - day(profile.min)) / 86400000;
+        if (isNaN(span)) return 'month';
+        if (span <= 92) return 'day';
+        if (span <= 365 * 5) return 'month';
+        return 'year';
+    }
+
+    resolveOrder(query) {
+        if (query.rowLookup) return;
+
+        const direction = query.sortDirection;
+        const target = query.sortTarget;
+        const grouped = query.groupBy.length > 0 || query.aggregates.length > 0 || query.timeBucket !== null;
+
+        if (target) {
+            if (grouped) {
+                let agg = query.aggregates.find(a => a.column === target.column && (!target.fn || a.fn === target.fn)) ||
+                    (target.fn === 'COUNT' ? query.aggregates.find(a => a.fn === 'COUNT') : null);
+                if (!agg && !query.groupBy.includes(target.column)) {
+                    this.addAggregate(query, target.fn || (target.column ? 'SUM' : 'COUNT'), target.column, 'sort');
+                    agg = query.aggregates[query.aggregates.length - 1];
+                }
+                query.orderBy = agg
+                    ? [{ aggregate: agg, direction: direction || 'DESC' }]
+                    : [{ column: target.column, direction: direction || 'ASC' }];
+            } else if (target.column) {
+                query.orderBy = [{ column: target.column, direction: direction || (query.fromTop ? 'DESC' : 'ASC') }];
+            }
+            return;
+        }
+
+        if (query.timeBucket) {
+            // Time series read left to right, oldest first
+            query.orderBy = [{ bucket: true, direction: direction || 'ASC' }];
+        } else if (query.aggregates.length && query.groupBy.length) {
+            query.orderBy = [{ aggregate: query.aggregates[0], direction: direction || 'DESC' }];
+        } else if (query.distinct && query.select.length) {
+            query.orderBy = [{ column: query.select[0], direction: direction || 'ASC' }];
+        } else if (!grouped && query.filters.length === 1 && ['>', '>=', '<', '<='].includes(query.filters[0].op)) {
+            const filter = query.filters[0];
+            query.orderBy = [{ column: filter.column, direction: direction || (filter.op.startsWith('>') ? 'DESC' : 'ASC') }];
+        } else if (!grouped && direction) {
+            const column = query.select.find(col => this.isNumericType(this.getColumnType(col))) || query.select[0];
+            if (column) query.orderBy = [{ column, direction }];
+        }
+    }
+
+    compileQuery(query) {
+        // Values travel as bound parameters; only identifiers and fixed SQL text are spliced in
+        const params = [];
+        const from = this.compileFrom(query);
+        const q = (name) => this.columnRef(name, from.joined);
+        const output = (name) => this.outputColumn(name, from.joined);
+        const grouped = query.groupBy.length > 0 || query.timeBucket !== null;
+        const bucket = query.timeBucket ? this.timeBucketExpressions(query.timeBucket, from.joined) : null;
+        const bucketAlias = bucket ? this.timeBucketAlias(query.timeBucket) : null;
+
+        if (bucket && query.comparison && query.aggregates.length) {
+            return this.compilePeriodComparison(query, bucket, bucketAlias, params, from);
+        }
+
+        const selectList = [];
+        if (bucket) selectList.push(`${bucket.label} as ${bucketAlias}`);
+        query.groupBy.forEach(col => selectList.push(output(col)));
+        query.aggregates.forEach(agg => {
+            selectList.push(`${this.compileAggregate(agg, from.joined)} as ${this.aggregateAlias(agg, grouped)}`);
+        });
+        if (!grouped && !query.aggregates.length) {
+            query.select.forEach(col => selectList.push(output(col)));
+        }
+        // Joined tables only lend columns to filter on; the rows are still the query's own table
+        const everything = from.joined ? `${this.quoteIdentifier(query.table)}.*` : '*';
+
+        let sql = `SELECT ${query.distinct && !grouped && !query.aggregates.length ? 'DISTINCT ' : ''}${selectList.length ? selectList.join(', ') : everything} FROM ${from.sql}`;
+
+        const conditions = [];
+        if (query.filters.length) conditions.push(this.compileFilters(query.filters, params, from.joined));
+        if (bucket) conditions.push(`${q(query.timeBucket.column)} IS NOT NULL`);
+        if (conditions.length) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        if (grouped) {
+            sql += ` GROUP BY ${[...(bucket ? [bucketAlias] : []), ...query.groupBy.map(q)].join(', ')}`;
+        }
+        if (query.orderBy.length) {
+            const order = query.orderBy.map(entry => {
+                const target = entry.bucket ? bucketAlias
+                    : entry.aggregate ? this.aggregateAlias(entry.aggregate, grouped) : q(entry.column);
+                return `${target} ${entry.direction}`;
+            });
+            sql += ` ORDER BY ${order.join(', ')}`;
+        }
+        if (query.limit) {
+            sql += ` LIMIT ${parseInt(query.limit)}`;
+        }
+
+        return { sql, params };
+    }
+
+    timeBucketExpressions({ column, grain }, qualify = false) {
+        const col = this.columnRef(column, qualify);
+        const quarter = `((CAST(strftime('%m', ${col}) AS INTEGER) + 2) / 3)`;
+        switch (grain) {
+            case 'day':
+                return { label: `strftime('%Y-%m-%d', ${col})`, start: `date(${col})` };
+            case 'week':
+                // Named by its Monday: "%W" week numbers split the week that spans New Year in two
+                return { label: `date(${col}, '-6 days', 'weekday 1')`, start: `date(${col}, '-6 days', 'weekday 1')` };
+            case 'quarter':
+                return {
+                    label: `strftime('%Y', ${col}) || '-Q' || ${quarter}`,
+                    start: `date(${col}, 'start of month', '-' || ((CAST(strftime('%m', ${col}) AS INTEGER) - 1) % 3) || ' months')`
+                };
+            case 'year':
+                return { label: `strftime('%Y', ${col})`, start: `date(${col}, 'start of year')` };
+            default:
+                return { label: `strftime('%Y-%m', ${col})`, start: `date(${col}, 'start of month')` };
+        }
+    }
+
+    timeBucketAlias({ grain }) {
+        // Don't shadow a real column that happens to be called "month" or "year"
+        const taken = this.currentData.schema.some(col => col.toLowerCase() === grain);
+        return taken ? `${grain}_bucket` : grain;
+    }
+
+    compilePeriodComparison(query, bucket, bucketAlias, params, from) {
+        // Inside the CTE columns come from the tables; outside they are the CTE's own output names
+        const q = (name) => this.quoteIdentifier(name);
+        const ref = (name) => this.columnRef(name, from.joined);
+        const measure = this.aggregateAlias(query.aggregates[0], true);
+        const offsets = {
+            day: '-1 day', week: '-7 days', month: '-1 month', quarter: '-3 months',
+            year: query.timeBucket.grain === 'week' ? '-364 days' : '-1 year'
+        };
+        const offset = offsets[query.comparison.offset] || offsets[query.timeBucket.grain];
+        const previousAlias = query.comparison.offset === 'year' && query.timeBucket.grain !== 'year'
+            ? `last_year_${measure}` : `previous_${measure}`;
+
+        const inner = [
+            `${bucket.label} as ${bucketAlias}`,
+            `${bucket.start} as period_start`,
+            ...query.groupBy.map(col => this.outputColumn(col, from.joined)),
+            ...query.aggregates.map(agg => `${this.compileAggregate(agg, from.joined)} as ${this.aggregateAlias(agg, true)}`)
+        ];
+        let periods = `SELECT ${inner.join(', ')} FROM ${from.sql} WHERE ${ref(query.timeBucket.column)} IS NOT NULL`;
+        if (query.filters.length) {
+            periods += ` AND ${this.compileFilters(query.filters, params, from.joined)}`;
+        }
+        periods += ` GROUP BY ${[bucketAlias, 'period_start', ...query.groupBy.map(ref)].join(', ')}`;
+
+        const joinOn = [`prev.period_start = date(cur.period_start, '${offset}')`,
+            ...query.groupBy.map(col => `prev.${q(col)} IS cur.${q(col)}`)];
+        const outer = [
+            `cur.${bucketAlias}`,
+            ...query.groupBy.map(col => `cur.${q(col)}`),
+            `cur.${measure}`,
+            `prev.${measure} as ${previousAlias}`,
+            `ROUND((cur.${measure} - prev.${measure}) * 100.0 / NULLIF(prev.${measure}, 0), 1) as change_pct`
+        ];
+
+        let sql = `WITH periods AS (${periods}) SELECT ${outer.join(', ')} FROM periods cur LEFT JOIN periods prev ON ${joinOn.join(' AND ')}`;
+        const order = query.orderBy.map(entry => {
+            const target = entry.bucket ? 'cur.period_start'
+                : entry.aggregate ? `cur.${this.aggregateAlias(entry.aggregate, true)}` : `cur.${q(entry.column)}`;
+            return `${target} ${entry.direction}`;
+        });
+        sql += ` ORDER BY ${(order.length ? order : ['cur.period_start ASC']).join(', ')}`;
+        if (query.limit) {
+            sql += ` LIMIT ${parseInt(query.limit)}`;
+        }
+
+        return { sql, params };
+    }
+
+    compileAggregate(agg, qualify = false) {
+        if (agg.fn === 'COUNT' && !agg.column) return 'COUNT(*)';
+        if (agg.fn === 'COUNT_DISTINCT') return `COUNT(DISTINCT ${this.columnRef(agg.column, qualify)})`;
+        return `${agg.fn}(${this.columnRef(agg.column, qualify)})`;
+    }
+
+    aggregateAlias(agg, grouped) {
+        const slug = agg.column ? String(agg.column).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') : '';
+        switch (agg.fn) {
+            case 'COUNT':
+                return agg.column ? `count_${slug}` : (grouped ? 'count' : 'total_rows');
+            case 'COUNT_DISTINCT':
+                return `unique_${slug}`;
+            case 'SUM':
+                return `total_${slug}`;
+            case 'AVG':
+                return grouped ? `avg_${slug}` : `average_${slug}`;
+            default:
+                return `${agg.fn.toLowerCase()}_${slug}`;
+        }
+    }
+
+    compileFilters(filters, params = null, qualify = false) {
+        // "region is Europe or Asia and price > 10": OR-ed alternatives bind tighter than AND
+        const groups = [];
+        filters.forEach((filter, i) => {
+            if (i === 0 || filter.connector !== 'OR') {
+                groups.push([]);
+            }
+            groups[groups.length - 1].push(this.compileFilter(filter, params, qualify));
+        });
+
+        return groups.map(group => group.length > 1 ? `(${group.join(' OR ')})` : group[0]).join(' AND ');
+    }
+
+    compileFilter(filter, params = null, qualify = false) {
+        // Without a parameter list (e.g. when comparing filters) values are written out as literals
+        const bind = value => params ? (params.push(value), '?') : this.sqlLiteral(value);
+        const column = this.columnRef(filter.column, qualify);
+        const value = filter.value;
+        const not = filter.negate ? 'NOT ' : '';
+
+        switch (filter.op) {
+            case 'contains':
+            case 'starts':
+            case 'ends': {
+                const escaped = String(value).replace(/[\\%_]/g, '\\$&');
+                const pattern = filter.op === 'starts' ? `${escaped}%` : filter.op === 'ends' ? `%${escaped}` : `%${escaped}%`;
+                return `${column} ${not}LIKE ${bind(pattern)} ESCAPE '\\'`;
+            }
+            case 'between':
+                return `${column} ${not}BETWEEN ${bind(value[0])} AND ${bind(value[1])}`;
+            case 'in': {
+                const collate = value.some(v => typeof v === 'string') ? ' COLLATE NOCASE' : '';
+                return `${column}${collate} ${not}IN (${value.map(bind).join(', ')})`;
+            }
+            case 'empty':
+                return filter.negate
+                    ? `(${column} IS NOT NULL AND TRIM(${column}) != '')`
+                    : `(${column} IS NULL OR TRIM(${column}) = '')`;
+            case 'dateRange': {
+                const parts = [];
+                if (value.from) parts.push(`${column} >= ${this.compileDateBound(value.from, bind)}`);
+                if (value.to) parts.push(`${column} < ${this.compileDateBound(value.to, bind)}`);
+                const range = parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0];
+                return filter.negate ? `NOT ${range}` : range;
+            }
+        }
+
+        const negated = { '=': '!=', '!=': '=', '>': '<=', '<': '>=', '>=': '<', '<=': '>' };
+        const op = filter.negate ? negated[filter.op] : filter.op;
+        const collate = typeof value === 'string' && (op === '=' || op === '!=') ? ' COLLATE NOCASE' : '';
+        return `${column} ${op} ${bind(value)}${collate}`;
+    }
+
+    compileDateBound(bound, bind) {
+        // Relative bounds are SQLite date modifiers so saved questions stay relative to today
+        if (Array.isArray(bound)) {
+            return `date('now'${bound.map(modifier => `, ${bind(modifier)}`).join('')})`;
+        }
+        return bind(bound);
+    }
+
+    compileFrom(query) {
+        // Other tables are joined in along the detected key columns, starting from the query's own table
+        const q = (name) => this.quoteIdentifier(name);
+        const joins = [];
+        const joined = new Set([query.table]);
+        this.queryTables(query).filter(table => table !== query.table).forEach(table => {
+            const path = this.joinPath(query.table, table);
+            if (!path) {
+                throw new Error(`I can't tell how ${table} relates to ${query.table}: they don't share a key column with matching values`);
+            }
+            path.filter(link => !joined.has(link.to.table)).forEach(link => {
+                joined.add(link.to.table);
+                joins.push(`LEFT JOIN ${q(link.to.table)} ON ${q(link.from.table)}.${q(link.from.column)} = ${q(link.to.table)}.${q(link.to.column)}`);
+            });
+        });
+        return { sql: [q(query.table), ...joins].join(' '), joined: joins.length > 0 };
+    }
+
+    queryTables(query) {
+        const columns = [
+            ...query.select,
+            ...query.groupBy,
+            ...query.aggregates.map(agg => agg.column),
+            ...query.filters.map(filter => filter.column),
+            query.timeBucket ? query.timeBucket.column : null,
+            ...query.orderBy.map(entry => entry.column)
+        ].filter(Boolean);
+        return [...new Set(columns.map(col => this.columnSource(col).table))];
+    }
+
+    chooseBaseTable(query, question) {
+        const tables = this.queryTables(query);
+        if (this.datasets.length < 2 || !tables.length) return query.table;
+
+        // Sum where the measure lives so joins to lookup tables don't repeat its rows
+        const measure = query.aggregates.find(agg => agg.column);
+        if (measure) return this.columnSource(measure.column).table;
+
+        // "count of orders by segment" counts orders
+        const stems = (question.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(word => this.stemWord(word));
+        const named = this.datasets.map(d => d.tableName).find(table =>
+            this.splitIdentifierWords(table).every(word => stems.includes(this.stemWord(word))) &&
+            tables.every(other => other === table || this.joinPath(table, other)));
+        return named || tables[0];
+    }
+
+    columnSource(column) {
+        const sources = this.currentData && this.currentData.sources;
+        return (sources && sources[column]) || { table: this.currentData ? this.currentData.tableName : null, column };
+    }
+
+    columnRef(column, qualify = false) {
+        const source = this.columnSource(column);
+        const name = this.quoteIdentifier(source.column);
+        return qualify ? `${this.quoteIdentifier(source.table)}.${name}` : name;
+    }
+
+    outputColumn(column, qualify = false) {
+        // Keep "customers.name" apart from "products.name" in the results
+        const ref = this.columnRef(column, qualify);
+        const alias = this.quoteIdentifier(column);
+        return ref === alias ? ref : `${ref} AS ${alias}`;
+    }
+
+    quoteIdentifier(name) {
+        return `"${String(name).replace(/"/g, '""')}"`;
+    }
+
+    sqlLiteral(value) {
+        if (typeof value === 'number') return String(value);
+        if (value === null || value === undefined) return 'NULL';
+        return `'${String(value).replace(/'/g, "''")}'`;
+    }
+
+    inlineParams(sql, params) {
+        // Readable, runnable SQL for display and the editor; execution always binds the parameters
+        let index = 0;
+        let quote = null;
+        let result = '';
+        for (const char of sql) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === "'" || char === '"') {
+                quote = char;
+            } else if (char === '?' && index < params.length) {
+                result += this.sqlLiteral(params[index++]);
+                continue;
+            }
+            result += char;
+        }
+        return result;
+    }
+
+    findColumnInQuestion(question, query = null) {
+        const { column, score } = this.matchColumnInQuestion(question);
+        // Anything short of a literal mention is a guess the user should be able to correct
+        if (query && column && score < 1) {
+            this.recordGuess(query, { text: question, column, candidates: this.similarColumns(column), confidence: score });
+        }
+        return column;
+    }
+
+    matchColumnInQuestion(question) {
+        const columns = this.currentData.schema;
+        const q = question.toLowerCase();
+
+        // Columns that hold real dates beat columns that are merely named like one
+        if (q.includes('date') || q.includes('time') || q.includes('when')) {
+            const dateColumn = columns.find(col => this.isDateType(this.getColumnType(col)));
+            if (dateColumn && !columns.some(col => q.includes(col.toLowerCase()))) {
+                return { column: dateColumn, score: 0.8 };
+            }
+        }
+
+        // First, try exact column name matches
+        for (const col of columns) {
+            if (q.includes(col.toLowerCase())) {
+                return { column: col, score: q.trim() === col.toLowerCase() ? 1 : 0.9 };
+            }
+        }
+
+        // Then the same fuzzy, synonym and alias matching used for questions
+        const mentions = this.markColumnMentions(this.tokenizeQuestion(question)).filter(item => item.type === 'column');
+        if (mentions.length) {
+            const best = mentions.reduce((a, b) => b.score > a.score ? b : a);
+            return { column: best.column, score: Math.min(best.score, 0.9) };
+        }
+
+        // If no specific match, return the first string-like column (most likely to be categorical)
+        for (const col of columns.filter(col => this.getColumnType(col) === 'TEXT')) {
+            // Columns with "name", "title", etc. are likely categorical
+            const words = this.splitIdentifierWords(col);
+            if (['name', 'title', 'category', 'type', 'status'].some(word => words.includes(word))) {
+                return { column: col, score: 0.35 };
+            }
+        }
+
+        const textColumn = columns.find(col => this.getColumnType(col) === 'TEXT');
+        if (textColumn) return { column: textColumn, score: 0.25 };
+        return { column: columns[0], score: 0.1 }; // Final fallback to first column
+    }
+
+    similarColumns(column) {
+        // Offer columns of the same kind, since a guessed measure should be swapped for another measure
+        const kind = this.columnKind(column);
+        return [column, ...this.currentData.schema.filter(col => col !== column && this.columnKind(col) === kind)].slice(0, 4);
+    }
+
+    columnKind(column) {
+        const type = this.getColumnType(column);
+        return this.isNumericType(type) ? 'number' : this.isDateType(type) ? 'date' : 'text';
+    }
+
+    recordGuess(query, guess) {
+        if (!query.guesses) query.guesses = [];
+        const duplicate = query.guesses.some(existing => existing.column === guess.column && existing.text === guess.text);
+        if (!duplicate) query.guesses.push(guess);
+    }
+
+
+    async executeQuery(sql, params = []) {
+        // Checked here for a clear message before anything is sent, and again in the worker
+        this.validateReadOnlySql(sql);
+        return this.callWorker('query', { sql, params });
+    }
+
+    stripSqlLiterals(sql) {
+        // Blank out comments, strings and quoted names so keywords inside them can't fool the checks
+        return sql
+            .replace(/--[^\n]*|\/\*[\s\S]*?(\*\/|$)/g, ' ')
+            .replace(/'(?:[^']|'')*'?|"(?:[^"]|"")*"?|`[^`]*`?|\[[^\]]*\]?/g, ' _ ');
+    }
+
+    sqlStatementKind(sql) {
+        const stripped = this.stripSqlLiterals(sql);
+        const statements = stripped.split(';').filter(part => part.trim());
+        if (statements.length > 1) {
+            return { kind: 'multiple' };
+        }
+
+        const body = (statements[0] || '').trim();
+        const first = (/^\(*\s*(\w+)/.exec(body) || [])[1];
+        const keyword = first ? first.toUpperCase() : '';
+        // "WITH x AS (...) DELETE FROM ..." is a write hiding behind a read
+        const writeAfterWith = keyword === 'WITH' ? /\b(INSERT|UPDATE|DELETE|REPLACE(?=\s+INTO))\b/i.exec(body) : null;
+
+        if (writeAfterWith) {
+            return { kind: 'write', keyword: writeAfterWith[1].toUpperCase() };
+        }
+        if (['SELECT', 'VALUES', 'WITH'].includes(keyword)) {
+            return { kind: 'read', keyword };
+        }
+        if (['INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'CREATE', 'ALTER', 'DROP'].includes(keyword)) {
+            return { kind: 'write', keyword };
+        }
+        return { kind: 'other', keyword };
+    }
+
+    validateReadOnlySql(sql) {
+        const { kind, keyword } = this.sqlStatementKind(sql);
+        if (kind === 'read') return;
+
+        const messages = {
+            multiple: 'Run one statement at a time.',
+            write: `${keyword} changes the data, so it can't run as a query. Use "Run as data transform" to apply it on purpose.`,
+            other: `${keyword || 'This statement'} isn't allowed. Only SELECT and WITH queries can run here.`
+        };
+        const error = new Error(messages[kind]);
+        error.code = kind === 'write' ? 'WRITE_STATEMENT' : 'NOT_ALLOWED';
+        throw error;
+    }
+
+    offerTransform(sql) {
+        this.addClarification({
+            prompt: 'This statement changes the loaded data. Your original file is not modified.',
+            choices: [{ label: 'Run as data transform', action: () => this.runTransform(sql) }]
+        });
+    }
+
+    async runTransform(sql) {
+        const { kind } = this.sqlStatementKind(sql);
+        if (kind !== 'write') {
+            this.addMessage('Only one INSERT, UPDATE, DELETE, CREATE, ALTER or DROP statement can run as a transform.', 'ai');
+            return;
+        }
+        if (!window.confirm('Apply this change to the loaded data? It cannot be undone without reloading the file.')) {
+            return;
+        }
+
+        this.showLoading(true, 'Applying transform...');
+        try {
+            // The worker reads every table back afterwards, since a transform can change, create or drop any of them
+            const result = await this.callWorker('transform', { sql });
+            this.applyWorkerState(result);
+            const { changed } = result;
+            const tables = this.datasets.map(d => `${d.tableName} (${d.rowCount.toLocaleString()} rows, ${d.schema.length} columns)`);
+            this.addMessage(`✅ Transform applied: ${changed.toLocaleString()} ${changed === 1 ? 'row' : 'rows'} changed. Loaded tables: ${tables.join(', ') || 'none'}.`, 'ai');
+        } catch (error) {
+            this.addMessage(error.code === 'CANCELLED' ? 'Stopped the transform. The loaded tables are unchanged.' : `Transform failed: ${error.message}`, 'ai');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Messages are plain text unless the caller has escaped everything it interpolates and passes { html: true }
+    addMessage(text, sender, { html = false } = {}) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${sender}`;
+
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'message-label';
+        labelDiv.textContent = sender === 'ai' ? 'Data Explorer' : 'You';
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+        if (html) {
+            contentDiv.innerHTML = text;
+        } else {
+            contentDiv.textContent = text;
+        }
+
+        messageDiv.appendChild(labelDiv);
+        messageDiv.appendChild(contentDiv);
+
+        this.chatMessages.appendChild(messageDiv);
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+        this.messages.push({ text, sender, html });
+        this.scheduleSessionSave();
+    }
+
+    displayResults(results, query, interpretation = null) {
+        this.lastResult = { sql: query, interpretation };
+        this.scheduleSessionSave();
+        // The question behind these results, if they came from the latest history entry
+        const latest = this.history[this.history.length - 1];
+        const saveEntry = latest && latest.sql === query ? latest : { question: null, sql: query, query: null, interpretation };
+
         if (!results || results.length === 0) {
-            this.resultsContainer.innerHTML = '<p>No results found.</p>';
+            const summary = interpretation ? `<p class="query-summary"><strong>Understood as:</strong> ${this.escapeHtml(interpretation.summary)}</p>` : '';
+            this.resultsContainer.innerHTML = `${summary}<p>No results found.</p>
+                <button type="button" class="edit-sql-btn" id="editSqlBtn">✏️ Edit SQL</button>
+                <button type="button" class="edit-sql-btn" id="saveQueryBtn">⭐ Save query</button>`;
             this.resultsSection.style.display = 'block';
+            document.getElementById('editSqlBtn').addEventListener('click', () => this.toggleSqlMode(true, query));
+            document.getElementById('saveQueryBtn').addEventListener('click', () => this.saveToLibrary(saveEntry));
+            return;
+        }
+
+        const columns = Object.keys(results[0]);
+        const insights = this.generateInsights(results);
+        const chartSpec = this.determineChartType(results, columns);
+        const manualChart = chartSpec ? null : this.determineChartType(results, columns, true);
+
+        let html = `
+            <div style="margin-bottom: 20px;">
+                ${interpretation ? `
+                    <p class="query-summary">
+                        <strong>Understood as:</strong> ${this.escapeHtml(interpretation.summary)}
+                        <span class="confidence-badge ${interpretation.confidence < 0.5 ? 'low' : interpretation.confidence < 0.75 ? 'medium' : 'high'}">${Math.round(interpretation.confidence * 100)}% confident</span>
+                    </p>
+                ` : ''}
+                <strong>SQL Query:</strong> <code style="background: #f1f5f9; padding: 4px 8px; border-radius: 4px;">${this.escapeHtml(query)}</code>
+                <button type="button" class="edit-sql-btn" id="editSqlBtn">✏️ Edit SQL</button>
+                <button type="button" class="edit-sql-btn" id="saveQueryBtn">⭐ Save query</button>
+                <button type="button" class="edit-sql-btn" id="pinResultBtn">📌 Pin to dashboard</button>
+                <div class="export-actions" role="group" aria-label="Download results">
+                    Download all ${results.length.toLocaleString()} ${results.length === 1 ? 'row' : 'rows'}:
+                    <button type="button" class="export-btn" data-export="csv">CSV</button>
+                    <button type="button" class="export-btn" data-export="xlsx">Excel</button>
+                    <button type="button" class="export-btn" data-export="json">JSON</button>
+                    <button type="button" class="export-btn" data-export="sql">SQL</button>
+                </div>
+            </div>
+        `;
+
+        // Add insights panel
+        if (insights.length > 0) {
+            html += `
+                <div class="insights-panel">
+                    <h4>📊 Key Insights</h4>
+                    ${insights.map(insight => `<div class="insight-item">${this.escapeHtml(insight)}</div>`).join('')}
+                </div>
+            `;
+        }
+
+        // Add metrics if we have summary data
+        const metrics = this.extractMetrics(results, columns);
+        if (metrics.length > 0) {
+            html += `
+                <div class="metrics-grid">
+                    ${metrics.map(metric => `
+                        <div class="metric-card">
+                            <div class="metric-value">${this.escapeHtml(metric.value)}</div>
+                            <div class="metric-label">${this.escapeHtml(metric.label)}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        // Add chart if appropriate; other results can still be charted from a button
+        if (chartSpec || manualChart) {
+            html += `<div class="chart-container" id="chartPanel"></div>`;
+        }
+        html += `<div class="chart-container" id="pivotPanel"></div>`;
+
+        // Add data table
+        html += `
+            <div style="margin-top: 24px;">
+                <h4 style="font-size: 1.125rem; font-weight: 600; margin-bottom: 12px; color: var(--text-primary);">📋 Data Table</h4>
+                <div id="resultsGrid"></div>
+            </div>
+        `;
+
+        this.resultsContainer.innerHTML = html;
+        this.resultsSection.style.display = 'block';
+        document.getElementById('editSqlBtn').addEventListener('click', () => this.toggleSqlMode(true, query));
+        document.getElementById('saveQueryBtn').addEventListener('click', () => this.saveToLibrary(saveEntry));
+        document.getElementById('pinResultBtn').addEventListener('click', () => this.pinToDashboard({
+            kind: 'table',
+            title: saveEntry.question || (interpretation && interpretation.summary) || 'Query result',
+            sql: query
+        }));
+        this.resultsContainer.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportResults(button.dataset.export, results, query));
+        });
+        this.renderResultsGrid(document.getElementById('resultsGrid'), results);
+
+        if (chartSpec || manualChart) {
+            this.renderChartPanel(document.getElementById('chartPanel'), results, chartSpec || manualChart, !chartSpec);
+        }
+        // Questions keep their table and filters, so the pivot can regroup from the source rows
+        const asked = saveEntry.query;
+        this.renderPivotPanel(document.getElementById('pivotPanel'),
+            asked ? this.pivotFromQuery(asked) : this.pivotFromResults(results, query), !(asked && this.wantsPivot(asked)));
+
+        // Scroll to results
+        this.resultsSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    renderResultsGrid(container, results) {
+        // Only the rows in view are in the page, so every row of a large result can be scrolled to
+        const columns = Object.keys(results[0]).map(name => {
+            const type = this.resultColumnType(name, results);
+            const longest = Math.max(name.length, ...results.slice(0, 50).map(row => this.formatGridValue(row[name], type).length));
+            return { name, type, width: Math.min(Math.max(longest * 8 + 40, 80), 320), hidden: false };
+        });
+        const grid = { results, columns, sort: null, filters: {}, view: [], active: null, rowHeight: 36 };
+        this.grid = grid;
+        container.innerHTML = '';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'grid-toolbar';
+        grid.count = document.createElement('span');
+        grid.count.className = 'grid-count';
+        const hint = document.createElement('span');
+        hint.className = 'grid-hint';
+        hint.textContent = 'Click a heading to sort, drag it to move the column, drag its edge to resize. Select a cell and press Ctrl+C to copy it.';
+        const columnsButton = document.createElement('button');
+        columnsButton.type = 'button';
+        columnsButton.className = 'btn btn-secondary';
+        columnsButton.textContent = 'Columns';
+        columnsButton.setAttribute('aria-expanded', 'false');
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.className = 'btn btn-secondary';
+        resetButton.textContent = 'Reset view';
+        resetButton.addEventListener('click', () => this.renderResultsGrid(container, results));
+        grid.menu = document.createElement('div');
+        grid.menu.className = 'grid-column-menu';
+        grid.menu.hidden = true;
+        columnsButton.addEventListener('click', () => {
+            grid.menu.hidden = !grid.menu.hidden;
+            columnsButton.setAttribute('aria-expanded', String(!grid.menu.hidden));
+            if (!grid.menu.hidden) this.renderGridColumnMenu();
+        });
+        toolbar.appendChild(grid.count);
+        toolbar.appendChild(hint);
+        toolbar.appendChild(columnsButton);
+        toolbar.appendChild(resetButton);
+
+        grid.element = document.createElement('div');
+        grid.element.className = 'results-grid';
+        grid.element.setAttribute('role', 'grid');
+        grid.element.tabIndex = 0;
+        grid.scroller = document.createElement('div');
+        grid.scroller.className = 'grid-scroll';
+        grid.head = document.createElement('div');
+        grid.head.className = 'grid-head';
+        grid.body = document.createElement('div');
+        grid.body.className = 'grid-body';
+        grid.rows = document.createElement('div');
+        grid.rows.className = 'grid-rows';
+        grid.body.appendChild(grid.rows);
+        grid.scroller.appendChild(grid.head);
+        grid.scroller.appendChild(grid.body);
+        grid.element.appendChild(grid.scroller);
+
+        grid.scroller.addEventListener('scroll', () => {
+            if (grid.frame) return;
+            grid.frame = requestAnimationFrame(() => {
+                grid.frame = null;
+                this.renderGridRows();
+            });
+        });
+        grid.rows.addEventListener('click', (event) => {
+            const cell = event.target.closest('[data-column]');
+            if (!cell) return;
+            grid.active = { row: Number(cell.dataset.row), column: cell.dataset.column };
+            this.renderGridRows();
+            grid.element.focus({ preventScroll: true });
+        });
+        grid.element.addEventListener('keydown', (event) => this.handleGridKey(event));
+        grid.element.addEventListener('copy', (event) => {
+            // The stored value, not the formatted one, so "1,234.5" pastes as 1234.5
+            if (!grid.active || event.target.closest('input')) return;
+            const value = grid.results[grid.active.row][grid.active.column];
+            event.clipboardData.setData('text/plain', value === null || value === undefined ? '' : String(value));
+            event.preventDefault();
+            this.showStatus(`Copied ${grid.active.column}`, 'success');
+            setTimeout(() => this.hideStatus(), 1500);
+        });
+
+        container.appendChild(toolbar);
+        container.appendChild(grid.menu);
+        container.appendChild(grid.element);
+        this.renderGridHeader();
+        this.updateGridView();
+    }
+
+    resultColumnType(name, results) {
+        if (name === 'change_pct') return 'PERCENT';
+        const known = this.currentData && this.currentData.types[name];
+        if (known) return known;
+
+        // Counts, totals and hand-written expressions aren't in the schema; go by what came back
+        const values = results.slice(0, 200).map(row => row[name]).filter(value => value !== null && value !== undefined);
+        if (values.length && values.every(value => typeof value === 'number')) {
+            return values.every(value => Number.isInteger(value)) ? 'INTEGER' : 'REAL';
+        }
+        return 'TEXT';
+    }
+
+    formatGridValue(value, type) {
+        if (value === null || value === undefined) return '';
+        switch (type) {
+            case 'BOOLEAN':
+                if (value === 1 || value === true) return 'Yes';
+                if (value === 0 || value === false) return 'No';
+                return String(value);
+            case 'PERCENT':
+                return typeof value === 'number' ? `${value > 0 ? '+' : ''}${value.toLocaleString()}%` : String(value);
+            case 'INTEGER':
+            case 'REAL':
+                return typeof value === 'number' ? value.toLocaleString() : String(value);
+            default:
+                // Text stays as stored, so codes like "00123" keep their zeros
+                return String(value);
+        }
+    }
+
+    isGridNumber(type) {
+        return this.isNumericType(type) || type === 'PERCENT';
+    }
+
+    gridFilter(text, type) {
+        // Numbers and dates take comparisons such as "> 100" or ">= 2024-01-01"; anything else matches as "contains"
+        const comparison = /^(>=|<=|!=|<>|>|<|=)\s*(.+)$/.exec(text.trim());
+        const numeric = this.isGridNumber(type);
+        if (comparison && (numeric || this.isDateType(type))) {
+            const [, op, operand] = comparison;
+            const target = numeric ? this.parseNumber(operand) : operand.trim();
+            if (target !== null) {
+                return value => {
+                    if (value === null || value === undefined || value === '') return false;
+                    const current = numeric ? Number(value) : String(value);
+                    if (numeric && isNaN(current)) return false;
+                    const order = current < target ? -1 : current > target ? 1 : 0;
+                    return { '>': order > 0, '<': order < 0, '>=': order >= 0, '<=': order <= 0, '=': order === 0, '!=': order !== 0, '<>': order !== 0 }[op];
+                };
+            }
+        }
+
+        const needle = text.trim().toLowerCase();
+        return value => value !== null && value !== undefined &&
+            (String(value).toLowerCase().includes(needle) || this.formatGridValue(value, type).toLowerCase().includes(needle));
+    }
+
+    visibleGridColumns() {
+        return this.grid.columns.filter(column => !column.hidden);
+    }
+
+    renderGridHeader() {
+        const grid = this.grid;
+        grid.head.innerHTML = '';
+        const header = document.createElement('div');
+        header.className = 'grid-row grid-header-row';
+        header.setAttribute('role', 'row');
+        header.setAttribute('aria-rowindex', '1');
+        const filters = document.createElement('div');
+        filters.className = 'grid-row grid-filter-row';
+        filters.setAttribute('role', 'row');
+        filters.setAttribute('aria-rowindex', '2');
+
+        const corner = document.createElement('div');
+        corner.className = 'grid-cell grid-index';
+        corner.setAttribute('role', 'columnheader');
+        corner.textContent = '#';
+        header.appendChild(corner);
+        const spacer = document.createElement('div');
+        spacer.className = 'grid-cell grid-index';
+        filters.appendChild(spacer);
+
+        this.visibleGridColumns().forEach(column => {
+            const sorted = grid.sort && grid.sort.column === column.name ? grid.sort.direction : null;
+            const cell = document.createElement('div');
+            cell.className = 'grid-cell grid-header-cell';
+            cell.setAttribute('role', 'columnheader');
+            cell.setAttribute('aria-sort', sorted === 'ASC' ? 'ascending' : sorted === 'DESC' ? 'descending' : 'none');
+
+            // Ascending, then descending, then back to the order the query returned
+            const label = document.createElement('button');
+            label.type = 'button';
+            label.className = 'grid-sort';
+            label.draggable = true;
+            label.textContent = `${column.name}${sorted === 'ASC' ? ' ▲' : sorted === 'DESC' ? ' ▼' : ''}`;
+            label.title = column.name;
+            label.addEventListener('click', () => {
+                grid.sort = !sorted ? { column: column.name, direction: 'ASC' } : sorted === 'ASC' ? { column: column.name, direction: 'DESC' } : null;
+                this.renderGridHeader();
+                this.updateGridView();
+            });
+            label.addEventListener('dragstart', (event) => {
+                grid.dragging = column.name;
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', column.name);
+            });
+            label.addEventListener('dragend', () => { grid.dragging = null; });
+            cell.addEventListener('dragover', (event) => {
+                if (grid.dragging) event.preventDefault();
+            });
+            cell.addEventListener('drop', (event) => {
+                event.preventDefault();
+                this.moveGridColumn(grid.dragging, column.name);
+                grid.dragging = null;
+            });
+
+            const handle = document.createElement('span');
+            handle.className = 'grid-resize';
+            handle.setAttribute('aria-hidden', 'true');
+            handle.addEventListener('pointerdown', (event) => {
+                event.preventDefault();
+                const startX = event.clientX;
+                const startWidth = column.width;
+                const move = (e) => {
+                    column.width = Math.max(48, startWidth + e.clientX - startX);
+                    this.applyGridLayout();
+                };
+                const stop = () => {
+                    window.removeEventListener('pointermove', move);
+                    window.removeEventListener('pointerup', stop);
+                };
+                window.addEventListener('pointermove', move);
+                window.addEventListener('pointerup', stop);
+            });
+
+            cell.appendChild(label);
+            cell.appendChild(handle);
+            header.appendChild(cell);
+
+            const filterCell = document.createElement('div');
+            filterCell.className = 'grid-cell';
+            const input = document.createElement('input');
+            input.type = 'search';
+            input.className = 'grid-filter-input';
+            input.placeholder = this.isGridNumber(column.type) ? '> 100' : this.isDateType(column.type) ? '>= 2024-01-01' : 'Filter';
+            input.setAttribute('aria-label', `Filter ${column.name}`);
+            input.value = grid.filters[column.name] || '';
+            input.addEventListener('input', () => {
+                grid.filters[column.name] = input.value;
+                this.updateGridView();
+            });
+            filterCell.appendChild(input);
+            filters.appendChild(filterCell);
+        });
+
+        grid.head.appendChild(header);
+        grid.head.appendChild(filters);
+        this.applyGridLayout();
+    }
+
+    applyGridLayout() {
+        const grid = this.grid;
+        const widths = [64, ...this.visibleGridColumns().map(column => column.width)];
+        grid.element.style.setProperty('--grid-columns', widths.map(width => `${width}px`).join(' '));
+        const total = `${widths.reduce((sum, width) => sum + width, 0)}px`;
+        grid.head.style.width = total;
+        grid.body.style.width = total;
+    }
+
+    updateGridView() {
+        const grid = this.grid;
+        const { results } = grid;
+        const tests = Object.entries(grid.filters).filter(([, text]) => text.trim()).map(([name, text]) => {
+            const column = grid.columns.find(c => c.name === name);
+            return { name, matches: this.gridFilter(text, column.type) };
+        });
+
+        const view = [];
+        for (let i = 0; i < results.length; i++) {
+            if (tests.every(test => test.matches(results[i][test.name]))) view.push(i);
+        }
+
+        if (grid.sort) {
+            const { column: name, direction } = grid.sort;
+            const column = grid.columns.find(c => c.name === name);
+            const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+            const numeric = this.isGridNumber(column.type);
+            const empty = value => value === null || value === undefined || value === '';
+            view.sort((a, b) => {
+                const left = results[a][name];
+                const right = results[b][name];
+                // Blanks go last whichever way the column is sorted
+                if (empty(left) || empty(right)) return empty(left) === empty(right) ? 0 : empty(left) ? 1 : -1;
+                const order = numeric && !isNaN(left) && !isNaN(right) ? Number(left) - Number(right) : collator.compare(String(left), String(right));
+                return direction === 'ASC' ? order : -order;
+            });
+        }
+
+        grid.view = view;
+        grid.count.textContent = view.length === results.length
+            ? `${results.length.toLocaleString()} rows`
+            : `${view.length.toLocaleString()} of ${results.length.toLocaleString()} rows`;
+        grid.element.setAttribute('aria-rowcount', String(view.length + 2));
+        grid.body.style.height = `${view.length * grid.rowHeight}px`;
+        this.renderGridRows();
+    }
+
+    renderGridRows() {
+        const grid = this.grid;
+        const columns = this.visibleGridColumns();
+        const height = grid.scroller.clientHeight || 480;
+        const first = Math.max(0, Math.floor(grid.scroller.scrollTop / grid.rowHeight) - 10);
+        const last = Math.min(grid.view.length, first + Math.ceil(height / grid.rowHeight) + 20);
+        grid.rows.style.transform = `translateY(${first * grid.rowHeight}px)`;
+
+        const fragment = document.createDocumentFragment();
+        for (let position = first; position < last; position++) {
+            const index = grid.view[position];
+            const record = grid.results[index];
+            const row = document.createElement('div');
+            row.className = 'grid-row';
+            row.setAttribute('role', 'row');
+            row.setAttribute('aria-rowindex', String(position + 3));
+
+            const number = document.createElement('div');
+            number.className = 'grid-cell grid-index';
+            number.textContent = position + 1;
+            row.appendChild(number);
+
+            columns.forEach(column => {
+                const cell = document.createElement('div');
+                const text = this.formatGridValue(record[column.name], column.type);
+                const active = grid.active && grid.active.row === index && grid.active.column === column.name;
+                cell.className = `grid-cell${this.isGridNumber(column.type) ? ' grid-number' : ''}${active ? ' grid-active' : ''}`;
+                cell.setAttribute('role', 'gridcell');
+                if (active) cell.setAttribute('aria-selected', 'true');
+                cell.dataset.row = index;
+                cell.dataset.column = column.name;
+                cell.textContent = text;
+                cell.title = text;
+                row.appendChild(cell);
+            });
+            fragment.appendChild(row);
+        }
+        grid.rows.innerHTML = '';
+        grid.rows.appendChild(fragment);
+    }
+
+    handleGridKey(event) {
+        // Arrow keys move the selected cell once one has been clicked
+        const grid = this.grid;
+        const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+        if (!grid.active || !moves[event.key] || event.target.closest('input')) return;
+        event.preventDefault();
+
+        const columns = this.visibleGridColumns().map(column => column.name);
+        const position = grid.view.indexOf(grid.active.row);
+        const [down, right] = moves[event.key];
+        const nextPosition = Math.min(Math.max(position + down, 0), grid.view.length - 1);
+        const nextColumn = columns[Math.min(Math.max(columns.indexOf(grid.active.column) + right, 0), columns.length - 1)];
+        if (nextPosition < 0 || !nextColumn) return;
+        grid.active = { row: grid.view[nextPosition], column: nextColumn };
+
+        // Keep the selected row inside the scrolled area, below the sticky heading
+        const top = nextPosition * grid.rowHeight;
+        const visible = grid.scroller.clientHeight - grid.head.offsetHeight;
+        if (top < grid.scroller.scrollTop) {
+            grid.scroller.scrollTop = top;
+        } else if (top + grid.rowHeight > grid.scroller.scrollTop + visible) {
+            grid.scroller.scrollTop = top + grid.rowHeight - visible;
+        }
+        this.renderGridRows();
+    }
+
+    moveGridColumn(from, to) {
+        const columns = this.grid.columns;
+        const fromIndex = columns.findIndex(column => column.name === from);
+        const toIndex = columns.findIndex(column => column.name === to);
+        if (fromIndex < 0 || toIndex < 0 || fromIndex === toIndex) return;
+
+        const [moved] = columns.splice(fromIndex, 1);
+        columns.splice(toIndex, 0, moved);
+        this.renderGridHeader();
+        this.renderGridRows();
+        if (!this.grid.menu.hidden) this.renderGridColumnMenu();
+    }
+
+    renderGridColumnMenu() {
+        const grid = this.grid;
+        grid.menu.innerHTML = '';
+        grid.columns.forEach(column => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !column.hidden;
+            checkbox.addEventListener('change', () => {
+                if (!checkbox.checked && this.visibleGridColumns().length === 1) {
+                    checkbox.checked = true;
+                    return;
+                }
+                column.hidden = !checkbox.checked;
+                // A hidden column can't be seen to filter or sort the rows
+                if (column.hidden) {
+                    delete grid.filters[column.name];
+                    if (grid.sort && grid.sort.column === column.name) grid.sort = null;
+                    if (grid.active && grid.active.column === column.name) grid.active = null;
+                }
+                this.renderGridHeader();
+                this.updateGridView();
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${column.name}`));
+            grid.menu.appendChild(label);
+        });
+    }
+
+    generateInsights(results) {
+        // Worded from the result's own columns: trends for periods, shares and gaps for groups, spread and outliers for plain rows
+        if (!results.length) return [];
+        const columns = Object.keys(results[0]);
+        if (results.length === 1) {
+            const value = results[0][columns[0]];
+            return columns.length === 1 && value !== null && isNaN(value) ? [`${columns[0]}: ${value}`] : [];
+        }
+
+        const time = columns.find(col => this.isTimeBucketColumn(results, col));
+        const numeric = columns.filter(col => col !== time && this.isGridNumber(this.resultColumnType(col, results)));
+        // Keys are numbers too, but their spread and totals mean nothing
+        const measures = numeric.filter(col => col !== 'change_pct' && !/(^|_)id$/i.test(col));
+        const dimensions = columns.filter(col => col !== time && !numeric.includes(col));
+        if (!measures.length) return [];
+
+        if (time && !dimensions.length) {
+            return this.trendInsights(results, time, measures[0]).slice(0, 5);
+        }
+        const labels = dimensions.length ? results.map(row => dimensions.map(col => row[col] === null ? '(blank)' : row[col]).join(' / ')) : null;
+        if (labels && new Set(labels).size === labels.length) {
+            return this.groupInsights(results, dimensions.join(' and '), labels, measures[0]).slice(0, 5);
+        }
+        return measures.slice(0, 2).flatMap(col => this.distributionInsights(results, col)).slice(0, 5);
+    }
+
+    trendInsights(results, time, measure) {
+        const collator = new Intl.Collator(undefined, { numeric: true });
+        const points = results
+            .map(row => ({ period: String(row[time]), value: this.insightValue(row[measure]) }))
+            .filter(point => point.value !== null)
+            .sort((a, b) => collator.compare(a.period, b.period));
+        if (points.length < 2) return [];
+
+        const format = value => this.formatInsightNumber(value);
+        const insights = [];
+        const first = points[0];
+        const last = points[points.length - 1];
+        const change = first.value ? (last.value - first.value) / Math.abs(first.value) * 100 : null;
+        if (change !== null && Math.abs(change) >= 1) {
+            insights.push(`${measure} ${change > 0 ? 'rose' : 'fell'} ${format(Math.abs(change))}% from ${format(first.value)} in ${first.period} to ${format(last.value)} in ${last.period}`);
+        } else if (first.value === last.value || change !== null) {
+            insights.push(`${measure} was about flat from ${first.period} to ${last.period} (${format(first.value)} → ${format(last.value)})`);
+        } else {
+            insights.push(`${measure} went from 0 in ${first.period} to ${format(last.value)} in ${last.period}`);
+        }
+
+        if (points.length >= 3) {
+            const rises = points.slice(1).filter((point, i) => point.value > points[i].value).length;
+            insights.push(`It went up in ${rises} of ${points.length - 1} periods and down or level in the rest`);
+            if (first.value > 0 && last.value > 0) {
+                const growth = (Math.pow(last.value / first.value, 1 / (points.length - 1)) - 1) * 100;
+                insights.push(`Average growth per period: ${growth >= 0 ? '+' : ''}${format(growth)}%`);
+            }
+        }
+
+        const peak = points.reduce((best, point) => point.value > best.value ? point : best);
+        const low = points.reduce((best, point) => point.value < best.value ? point : best);
+        insights.push(`Highest ${measure} was ${format(peak.value)} in ${peak.period}; lowest was ${format(low.value)} in ${low.period}`);
+
+        const { high, low: dips } = this.findOutliers(points.map(point => point.value));
+        const unusual = points.filter(point => high.includes(point.value) || dips.includes(point.value));
+        if (unusual.length) {
+            insights.push(`Unusual ${unusual.length === 1 ? 'period' : 'periods'}: ${unusual.slice(0, 3).map(point => `${point.period} (${format(point.value)})`).join(', ')}`);
+        }
+        return insights;
+    }
+
+    groupInsights(results, dimension, labels, measure) {
+        const rows = labels
+            .map((label, i) => ({ label, value: this.insightValue(results[i][measure]) }))
+            .filter(row => row.value !== null)
+            .sort((a, b) => b.value - a.value);
+        if (rows.length < 2) return [];
+
+        const format = value => this.formatInsightNumber(value);
+        const percent = share => `${format(share * 100)}%`;
+        const insights = [];
+        const [top, second] = rows;
+        const bottom = rows[rows.length - 1];
+        insights.push(`${top.label} has the highest ${measure} (${format(top.value)}) and ${bottom.label} the lowest (${format(bottom.value)})`);
+        if (second.value > 0 && top.value / second.value >= 1.5) {
+            insights.push(`${top.label} is ${format(top.value / second.value)}× the next highest, ${second.label}`);
+        }
+
+        const total = rows.reduce((sum, row) => sum + row.value, 0);
+        if (this.isShareColumn(measure, results) && total > 0 && bottom.value >= 0) {
+            // Only counts and totals add up to a whole worth taking shares of
+            if (rows.length >= 4) {
+                const n = Math.min(3, rows.length - 1);
+                const share = rows.slice(0, n).reduce((sum, row) => sum + row.value, 0) / total;
+                insights.push(`The top ${n} ${dimension} values make up ${percent(share)} of the ${measure} shown`);
+            }
+            if (rows.length >= 8) {
+                let running = 0;
+                const needed = rows.findIndex(row => (running += row.value) >= total * 0.8) + 1;
+                insights.push(needed / rows.length <= 0.3
+                    ? `${measure} is concentrated: ${needed} of ${rows.length} ${dimension} values (${percent(needed / rows.length)}) account for 80% of it`
+                    : `${measure} is spread out: it takes ${needed} of ${rows.length} ${dimension} values to reach 80% of it`);
+            }
+        } else if (bottom.value > 0 && top.value / bottom.value >= 2) {
+            insights.push(`${measure} is ${format(top.value / bottom.value)}× higher for ${top.label} than for ${bottom.label}`);
+        }
+
+        if (rows.length >= 5) {
+            const sorted = rows.map(row => row.value).sort((a, b) => a - b);
+            insights.push(`Median ${measure} across ${dimension} values: ${format(this.quantile(sorted, 0.5))}`);
+            const { high, low } = this.findOutliers(sorted);
+            const unusual = rows.filter(row => high.includes(row.value) || low.includes(row.value));
+            if (unusual.length) {
+                insights.push(`${unusual.slice(0, 3).map(row => `${row.label} (${format(row.value)})`).join(', ')} ${unusual.length === 1 ? 'stands' : 'stand'} out from the other ${dimension} values`);
+            }
+        }
+        return insights;
+    }
+
+    distributionInsights(results, column) {
+        const values = results.map(row => this.insightValue(row[column])).filter(value => value !== null).sort((a, b) => a - b);
+        if (values.length < 5) return [];
+
+        const format = value => this.formatInsightNumber(value);
+        const insights = [`${column}: median ${format(this.quantile(values, 0.5))}, ranging from ${format(values[0])} to ${format(values[values.length - 1])}, with the middle half between ${format(this.quantile(values, 0.25))} and ${format(this.quantile(values, 0.75))}`];
+        const { high, low, upper, lower } = this.findOutliers(values);
+        if (high.length) {
+            insights.push(`${high.length.toLocaleString()} ${column} ${high.length === 1 ? 'value is' : 'values are'} unusually high (above ${format(upper)}), up to ${format(high[high.length - 1])}`);
+        }
+        if (low.length) {
+            insights.push(`${low.length.toLocaleString()} ${column} ${low.length === 1 ? 'value is' : 'values are'} unusually low (below ${format(lower)}), down to ${format(low[0])}`);
+        }
+        return insights;
+    }
+
+    findOutliers(numbers) {
+        // Tukey's fences; when most values are identical the quartiles collapse, so fall back to 3 standard deviations
+        const values = numbers.slice().sort((a, b) => a - b);
+        const none = { high: [], low: [], upper: null, lower: null };
+        if (values.length < 5) return none;
+
+        const q1 = this.quantile(values, 0.25);
+        const q3 = this.quantile(values, 0.75);
+        let lower = q1 - 1.5 * (q3 - q1);
+        let upper = q3 + 1.5 * (q3 - q1);
+        if (q3 === q1) {
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const deviation = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+            if (!deviation) return none;
+            lower = mean - 3 * deviation;
+            upper = mean + 3 * deviation;
+        }
+        return { high: values.filter(value => value > upper), low: values.filter(value => value < lower), upper, lower };
+    }
+
+    quantile(sorted, p) {
+        const position = (sorted.length - 1) * p;
+        const base = Math.floor(position);
+        const next = sorted[base + 1] !== undefined ? sorted[base + 1] : sorted[base];
+        return sorted[base] + (next - sorted[base]) * (position - base);
+    }
+
+    insightValue(value) {
+        return value === null || value === undefined || value === '' || isNaN(value) ? null : Number(value);
+    }
+
+    formatInsightNumber(value) {
+        return value.toLocaleString(undefined, { maximumFractionDigits: Math.abs(value) < 10 ? 2 : 1 });
+    }
+
+    extractMetrics(results, columns) {
+        const metrics = [];
+
+        // If single row with numeric values, show as metrics
+        if (results.length === 1) {
+            const row = results[0];
+            Object.entries(row).forEach(([key, value]) => {
+                if (!isNaN(value) && value !== null) {
+                    metrics.push({
+                        label: key.replace(/_/g, ' ').toUpperCase(),
+                        value: parseFloat(value).toLocaleString()
+                    });
+                }
+            });
+        }
+
+        return metrics;
+    }
+
+    determineChartType(results, columns, force = false) {
+        // A starting chart picked from the column types; the chart panel can change all of it
+        if (results.length < 2) return null;
+
+        const time = columns.find(col => this.isTimeBucketColumn(results, col));
+        const measures = columns.filter(col => col !== time && col !== 'change_pct' && this.isGridNumber(this.resultColumnType(col, results)));
+        const dimensions = columns.filter(col => col !== 'change_pct' && !measures.includes(col));
+
+        // Plain rows with many columns rarely make a readable chart, so those wait until asked for
+        if (!force && (dimensions.length > 2 || columns.length > 5)) return null;
+
+        const spec = { type: 'bar', x: dimensions[0], y: measures.slice(0, 1), series: null, sort: 'none', limit: 20, title: '', xLabel: '', yLabel: '' };
+        if (time && measures.length) {
+            const split = dimensions.find(col => col !== time) || null;
+            return { ...spec, type: 'line', x: time, y: split ? measures.slice(0, 1) : measures, series: split, limit: 0 };
+        }
+        if (dimensions.length >= 2 && measures.length) {
+            return { ...spec, type: 'stacked', series: dimensions[1] };
+        }
+        if (dimensions.length === 1 && measures.length) {
+            const share = measures.length === 1 && results.length <= 8 && this.isShareColumn(measures[0], results);
+            return share ? { ...spec, type: 'doughnut', limit: 8 } : { ...spec, y: measures };
+        }
+        if (measures.length >= 2) return { ...spec, type: 'scatter', x: measures[0], y: [measures[1]], limit: 0 };
+        if (measures.length === 1) return { ...spec, type: 'histogram', x: measures[0], y: [], limit: 0 };
+        return null;
+    }
+
+    isShareColumn(column, results) {
+        // Counts, totals and percentages are parts of a whole; averages and maximums aren't
+        return /^(count|total|sum|share|percent|pct)/i.test(column) &&
+            results.every(row => row[column] === null || Number(row[column]) >= 0);
+    }
+
+    chartLabel(column) {
+        return column ? String(column).replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : '';
+    }
+
+    chartTitles(spec) {
+        const measure = spec.type === 'histogram' ? 'Number of rows' : spec.y.map(col => this.chartLabel(col)).join(', ');
+        const x = this.chartLabel(spec.x);
+        let title = `${measure} by ${x}${spec.series ? ` and ${this.chartLabel(spec.series)}` : ''}`;
+        if (spec.type === 'histogram') title = `Distribution of ${x}`;
+        if (spec.type === 'scatter') title = `${measure} vs ${x}`;
+        return { title, x, y: measure };
+    }
+
+    wantsPivot(query) {
+        // "pivot ... across ..." asks for one; two groupings read better as a crosstab than a long list
+        if (query.comparison) return false;
+        return Boolean(query.pivot) || query.groupBy.length + (query.timeBucket ? 1 : 0) >= 2;
+    }
+
+    pivotFromQuery(query) {
+        const fields = [
+            ...(query.timeBucket ? [{ column: query.timeBucket.column, grain: query.timeBucket.grain }] : []),
+            ...query.groupBy.map(column => ({ column, grain: null }))
+        ];
+        // Without an "across", time runs along the top, or else the last grouping does
+        let across = fields.filter(field => query.pivot && query.pivot.across.includes(field.grain ? null : field.column));
+        if (!across.length && fields.length > 1) across = [fields.find(field => field.grain) || fields[fields.length - 1]];
+        return {
+            source: { table: query.table, filters: query.filters },
+            rows: fields.filter(field => !across.includes(field)),
+            columns: across,
+            values: query.aggregates.length ? query.aggregates.map(({ fn, column }) => ({ fn, column })) : [{ fn: 'COUNT', column: null }],
+            heatmap: false
+        };
+    }
+
+    pivotFromResults(results, sql) {
+        // Hand-written SQL has no structure to go back to, so pivot its result rows instead
+        const columns = Object.keys(results[0]);
+        const numeric = columns.filter(col => this.isGridNumber(this.resultColumnType(col, results)));
+        const dimension = columns.find(col => !numeric.includes(col));
+        return {
+            source: { sql, columns, numeric },
+            rows: dimension ? [{ column: dimension, grain: null }] : [],
+            columns: [],
+            values: numeric.length ? [{ fn: 'SUM', column: numeric[0] }] : [{ fn: 'COUNT', column: null }],
+            heatmap: false
+        };
+    }
+
+    pivotFields(source) {
+        if (source.sql) return source.columns;
+        // Any column of a table the pivot's own table can be joined to
+        return this.currentData.schema.filter(name => {
+            const { table } = this.columnSource(name);
+            return table === source.table || this.joinPath(source.table, table);
+        });
+    }
+
+    pivotNumeric(source, column) {
+        return source.sql ? source.numeric.includes(column) : this.isNumericType(this.getColumnType(column));
+    }
+
+    pivotFieldLabel(field) {
+        return field.grain ? `${field.column} (${field.grain})` : field.column;
+    }
+
+    pivotValueLabel(value) {
+        if (!value.column) return value.fn === 'PERCENT' ? '% of rows' : 'Row count';
+        if (value.fn === 'PERCENT') return `${value.column} as % of total`;
+        return `${PIVOT_AGGREGATES[value.fn]} of ${value.column}`;
+    }
+
+    pivotSql(pivot, fields) {
+        const { source } = pivot;
+        const params = [];
+        let from, where = '', ref, label;
+        if (source.sql) {
+            from = `(${source.sql.trim().replace(/;+$/, '')}\n) AS "pivot_source"`;
+            ref = column => this.quoteIdentifier(column);
+            label = field => ref(field.column);
+        } else {
+            // Every level joins the same tables, so subtotals add up to the cells above them
+            const columns = [...pivot.rows, ...pivot.columns, ...pivot.values].map(field => field.column).filter(Boolean);
+            const compiled = this.compileFrom({
+                table: source.table, select: [], groupBy: columns, aggregates: [], filters: source.filters, timeBucket: null, orderBy: []
+            });
+            from = compiled.sql;
+            ref = column => this.columnRef(column, compiled.joined);
+            label = field => field.grain ? this.timeBucketExpressions(field, compiled.joined).label : ref(field.column);
+            if (source.filters.length) where = ` WHERE ${this.compileFilters(source.filters, params, compiled.joined)}`;
+        }
+        const aggregate = ({ fn, column }) => {
+            if (!column) return 'COUNT(*)';
+            if (fn === 'COUNT_DISTINCT') return `COUNT(DISTINCT ${ref(column)})`;
+            return `${fn === 'PERCENT' ? 'SUM' : fn}(${ref(column)})`;
+        };
+        const select = [
+            ...fields.map((field, i) => `${label(field)} AS d${i}`),
+            ...pivot.values.map((value, i) => `${aggregate(value)} AS v${i}`)
+        ];
+        let sql = `SELECT ${select.join(', ')} FROM ${from}${where}`;
+        if (fields.length) sql += ` GROUP BY ${fields.map((_, i) => `d${i}`).join(', ')}`;
+        return { sql, params };
+    }
+
+    async runPivot(pivot) {
+        // One grouped query per subtotal level: each leading run of row fields, with and without the column fields
+        const cells = new Map();
+        const rowKeys = [];
+        const columnKeys = [];
+        for (let depth = 0; depth <= pivot.rows.length; depth++) {
+            for (const across of pivot.columns.length ? [false, true] : [false]) {
+                const fields = [...pivot.rows.slice(0, depth), ...(across ? pivot.columns : [])];
+                const { sql, params } = this.pivotSql(pivot, fields);
+                const results = await this.executeQuery(sql, params);
+                results.forEach(row => {
+                    const key = fields.map((_, i) => row[`d${i}`]);
+                    cells.set(JSON.stringify([depth, across, key]), pivot.values.map((_, i) => row[`v${i}`]));
+                    if (depth === pivot.rows.length && !across) rowKeys.push(key);
+                    if (depth === 0 && across) columnKeys.push(key);
+                });
+            }
+        }
+        const compare = (a, b) => this.comparePivotKeys(a, b);
+        return {
+            rowKeys: rowKeys.sort(compare),
+            columnKeys: columnKeys.sort(compare),
+            // A null column key asks for the row's total across all columns
+            value: (prefix, columnKey) => cells.get(columnKey
+                ? JSON.stringify([prefix.length, true, [...prefix, ...columnKey]])
+                : JSON.stringify([prefix.length, false, prefix])) || null
+        };
+    }
+
+    comparePivotKeys(a, b) {
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === b[i]) continue;
+            if (a[i] === null) return 1;
+            if (b[i] === null) return -1;
+            if (typeof a[i] === 'number' && typeof b[i] === 'number') return a[i] - b[i];
+            const order = String(a[i]).localeCompare(String(b[i]), undefined, { numeric: true });
+            if (order) return order;
+        }
+        return 0;
+    }
+
+    renderPivotPanel(container, pivot, collapsed = false) {
+        container.innerHTML = '';
+
+        if (collapsed) {
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'btn btn-secondary';
+            open.textContent = '🔀 Pivot these results';
+            open.addEventListener('click', () => this.renderPivotPanel(container, pivot));
+            container.appendChild(open);
+            return;
+        }
+
+        const update = changes => this.renderPivotPanel(container, { ...pivot, ...changes });
+        const fields = this.pivotFields(pivot.source);
+        const zones = document.createElement('div');
+        zones.className = 'pivot-zones';
+        ['fields', 'rows', 'columns', 'values'].forEach(zone => zones.appendChild(this.renderPivotZone(zone, pivot, fields, update)));
+
+        const controls = document.createElement('div');
+        controls.className = 'chart-controls';
+        const heatmap = document.createElement('input');
+        heatmap.type = 'checkbox';
+        heatmap.checked = pivot.heatmap;
+        heatmap.addEventListener('change', () => update({ heatmap: heatmap.checked }));
+        const heatmapLabel = document.createElement('label');
+        heatmapLabel.appendChild(heatmap);
+        heatmapLabel.appendChild(document.createTextNode('Heatmap'));
+        const hint = document.createElement('span');
+        hint.className = 'grid-hint';
+        hint.textContent = 'Drag fields between the boxes, or use the Add lists. Drop a field back on Fields to remove it.';
+        controls.appendChild(heatmapLabel);
+        controls.appendChild(hint);
+
+        const body = document.createElement('div');
+        body.className = 'pivot-table-wrap';
+        container.appendChild(zones);
+        container.appendChild(controls);
+        container.appendChild(body);
+        this.fillPivot(body, pivot);
+    }
+
+    renderPivotZone(zone, pivot, fields, update) {
+        const titles = { fields: 'Fields', rows: 'Rows', columns: 'Columns', values: 'Values' };
+        const box = document.createElement('div');
+        box.className = 'pivot-zone';
+        box.setAttribute('role', 'group');
+        box.setAttribute('aria-label', `Pivot ${titles[zone].toLowerCase()}`);
+        const heading = document.createElement('strong');
+        heading.textContent = titles[zone];
+        const list = document.createElement('div');
+        list.className = 'pivot-chips';
+        box.appendChild(heading);
+        box.appendChild(list);
+
+        const select = (value, choices, onChange) => {
+            const input = document.createElement('select');
+            input.className = 'pivot-select';
+            choices.forEach(([choice, text]) => {
+                const option = document.createElement('option');
+                option.value = choice;
+                option.textContent = text;
+                input.appendChild(option);
+            });
+            input.value = value;
+            input.addEventListener('change', () => onChange(input.value));
+            return input;
+        };
+        const replace = (index, entry) => update({ [zone]: pivot[zone].map((item, i) => i === index ? entry : item) });
+
+        // The field list always offers everything; a row count only makes sense as a value
+        const items = zone === 'fields' ? [...fields.map(column => ({ column, grain: null })), { column: null }] : pivot[zone];
+        items.forEach((item, index) => {
+            const chip = document.createElement('span');
+            chip.className = 'pivot-chip';
+            chip.draggable = true;
+            const label = document.createElement('span');
+            label.textContent = item.column === null ? 'Row count' : item.column;
+            chip.appendChild(label);
+            chip.addEventListener('dragstart', (event) => {
+                this.pivotDrag = { zone, index, item };
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', label.textContent);
+            });
+            chip.addEventListener('dragend', () => { this.pivotDrag = null; });
+
+            if (zone === 'values') {
+                const allowed = !item.column ? ['COUNT', 'PERCENT']
+                    : this.pivotNumeric(pivot.source, item.column) ? Object.keys(PIVOT_AGGREGATES) : ['COUNT', 'COUNT_DISTINCT', 'MIN', 'MAX'];
+                const fn = select(item.fn, allowed.map(key => [key, PIVOT_AGGREGATES[key]]), value => replace(index, { ...item, fn: value }));
+                fn.setAttribute('aria-label', `Aggregate for ${label.textContent}`);
+                chip.insertBefore(fn, label);
+            } else if (zone !== 'fields' && !pivot.source.sql && this.isDateType(this.getColumnType(item.column))) {
+                const grains = [['', 'Value'], ['day', 'Day'], ['week', 'Week'], ['month', 'Month'], ['quarter', 'Quarter'], ['year', 'Year']];
+                const grain = select(item.grain || '', grains, value => replace(index, { ...item, grain: value || null }));
+                grain.setAttribute('aria-label', `Group ${item.column} by`);
+                chip.appendChild(grain);
+            }
+            if (zone !== 'fields') {
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.textContent = '✕';
+                remove.setAttribute('aria-label', `Remove ${label.textContent} from ${titles[zone].toLowerCase()}`);
+                remove.addEventListener('click', () => update({ [zone]: pivot[zone].filter((_, i) => i !== index) }));
+                chip.appendChild(remove);
+            }
+            list.appendChild(chip);
+        });
+
+        if (zone !== 'fields') {
+            // The same moves without a mouse
+            const choices = fields.map(column => [column, column]);
+            if (zone === 'values') choices.push(['', 'Row count']);
+            const add = select('-', [['-', 'Add field…'], ...choices], column => {
+                update(this.movePivotField(pivot, { zone: 'fields', item: { column: column || null, grain: null } }, zone));
+            });
+            add.setAttribute('aria-label', `Add a field to ${titles[zone].toLowerCase()}`);
+            box.appendChild(add);
+        }
+
+        box.addEventListener('dragover', (event) => {
+            if (!this.pivotDrag) return;
+            event.preventDefault();
+            box.classList.add('drop-target');
+        });
+        box.addEventListener('dragleave', () => box.classList.remove('drop-target'));
+        box.addEventListener('drop', (event) => {
+            event.preventDefault();
+            box.classList.remove('drop-target');
+            const drag = this.pivotDrag;
+            this.pivotDrag = null;
+            if (drag && drag.zone !== zone) update(this.movePivotField(pivot, drag, zone));
+        });
+        return box;
+    }
+
+    movePivotField(pivot, { zone: from, index, item }, to) {
+        // Chips leave the zone they were dragged from; the field list keeps every field
+        const changes = from === 'fields' ? {} : { [from]: pivot[from].filter((_, i) => i !== index) };
+        const current = zone => changes[zone] || pivot[zone];
+        if (to === 'fields') return changes;
+
+        if (to === 'values') {
+            const fn = item.fn || (item.column && this.pivotNumeric(pivot.source, item.column) ? 'SUM' : 'COUNT');
+            changes.values = [...current('values'), { fn, column: item.column }];
+            return changes;
+        }
+        if (!item.column) return {};
+        // A field is either down the side or along the top, not both
+        const field = { column: item.column, grain: item.grain || null };
+        const same = other => other.column === field.column && other.grain === field.grain;
+        changes.rows = current('rows').filter(other => !same(other));
+        changes.columns = current('columns').filter(other => !same(other));
+        changes[to].push(field);
+        return changes;
+    }
+
+    async fillPivot(container, pivot) {
+        const run = this.pivotRun = (this.pivotRun || 0) + 1;
+        const note = text => {
+            container.innerHTML = '';
+            const message = document.createElement('p');
+            message.className = 'chart-note';
+            message.textContent = text;
+            container.appendChild(message);
+        };
+        if (!pivot.values.length) {
+            note('Add a field to Values to fill in the pivot.');
+            return;
+        }
+
+        note('Building the pivot...');
+        try {
+            const model = await this.runPivot(pivot);
+            if (run !== this.pivotRun) return;
+            container.innerHTML = '';
+            this.renderPivotTable(container, pivot, model);
+        } catch (error) {
+            if (run !== this.pivotRun) return;
+            note(`Couldn't build the pivot: ${error.message.replace(/^SQL Error: /, '')}`);
+        }
+    }
+
+    renderPivotTable(container, pivot, { rowKeys, columnKeys, value }) {
+        const maxRows = 500;
+        const maxColumns = 40;
+        const depth = pivot.rows.length;
+        const values = pivot.values;
+        const rows = rowKeys.slice(0, maxRows);
+        // Without column fields each row has a single set of cells: its totals
+        const columns = pivot.columns.length ? columnKeys.slice(0, maxColumns) : [null];
+        const cellColumns = pivot.columns.length ? [...columns, null] : columns;
+        const grand = value([], null);
+        const keyLabel = part => part === null || part === undefined ? '(blank)' : String(part);
+
+        const format = (cell, i) => {
+            const number = cell ? cell[i] : null;
+            if (number === null || number === undefined) return '';
+            if (values[i].fn === 'PERCENT') return grand && grand[i] ? `${this.formatInsightNumber(number / grand[i] * 100)}%` : '';
+            return typeof number === 'number' ? this.formatInsightNumber(number) : String(number);
+        };
+        // Each value is shaded against its own range, over the body cells only
+        const scales = values.map((_, i) => {
+            const numbers = rows.flatMap(key => columns.map(col => (value(key, col) || [])[i])).filter(number => typeof number === 'number');
+            return { min: Math.min(...numbers), max: Math.max(...numbers) };
+        });
+        const shade = (number, i) => {
+            const { min, max } = scales[i];
+            const alpha = max > min ? 0.08 + 0.62 * (number - min) / (max - min) : 0.4;
+            return `rgba(59, 130, 246, ${alpha.toFixed(2)})`;
+        };
+
+        const table = document.createElement('table');
+        table.className = 'dashboard-table pivot-table';
+        const caption = table.createCaption();
+        caption.textContent = values.map(item => this.pivotValueLabel(item)).join(', ') +
+            (pivot.columns.length ? ` across ${pivot.columns.map(field => this.pivotFieldLabel(field)).join(' · ')}` : '');
+
+        const head = table.createTHead();
+        const top = head.insertRow();
+        const headerRows = pivot.columns.length && values.length > 1 ? 2 : 1;
+        const headerCell = (row, text, span = 1) => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            cell.colSpan = span;
+            row.appendChild(cell);
+            return cell;
+        };
+        (depth ? pivot.rows.map(field => this.pivotFieldLabel(field)) : ['']).forEach(text => {
+            headerCell(top, text).rowSpan = headerRows;
+        });
+        if (pivot.columns.length) {
+            cellColumns.forEach(col => {
+                headerCell(top, col ? col.map(keyLabel).join(' · ') : 'Total', values.length).className = 'pivot-column-head';
+            });
+            if (headerRows === 2) {
+                const second = head.insertRow();
+                cellColumns.forEach(() => values.forEach(item => {
+                    headerCell(second, this.pivotValueLabel(item)).className = 'numeric';
+                }));
+            }
+        } else {
+            values.forEach(item => {
+                headerCell(top, this.pivotValueLabel(item)).className = 'numeric';
+            });
+        }
+
+        const body = table.createTBody();
+        let previous = null;
+        const addRow = (key, kind) => {
+            const line = body.insertRow();
+            line.className = `pivot-${kind}`;
+            if (kind === 'row') {
+                key.forEach((part, i) => {
+                    const cell = document.createElement('th');
+                    cell.scope = 'row';
+                    // Outer values are written once per group, not on every row
+                    if (!previous || key.slice(0, i + 1).some((other, j) => other !== previous[j])) cell.textContent = keyLabel(part);
+                    line.appendChild(cell);
+                });
+                previous = key;
+            } else {
+                const cell = document.createElement('th');
+                cell.scope = 'row';
+                cell.colSpan = Math.max(depth, 1);
+                cell.textContent = kind === 'grand' ? 'Grand total' : `${keyLabel(key[key.length - 1])} total`;
+                line.appendChild(cell);
+                previous = null;
+            }
+            cellColumns.forEach(col => {
+                const cells = value(key, col);
+                values.forEach((_, i) => {
+                    const cell = line.insertCell();
+                    cell.className = 'numeric';
+                    cell.textContent = format(cells, i);
+                    const inBody = kind === 'row' && (col !== null || !pivot.columns.length);
+                    if (pivot.heatmap && inBody && cells && typeof cells[i] === 'number') cell.style.background = shade(cells[i], i);
+                });
+            });
+        };
+        const walk = (prefix) => {
+            if (prefix.length === depth) {
+                addRow(prefix, 'row');
+                return;
+            }
+            const next = [];
+            rows.forEach(key => {
+                if (prefix.every((part, i) => key[i] === part) && !next.includes(key[prefix.length])) next.push(key[prefix.length]);
+            });
+            next.forEach(part => walk([...prefix, part]));
+            if (prefix.length) addRow(prefix, 'subtotal');
+        };
+        if (depth) walk([]);
+        addRow([], 'grand');
+        container.appendChild(table);
+
+        const cut = [];
+        if (rowKeys.length > rows.length) cut.push(`the first ${rows.length.toLocaleString()} of ${rowKeys.length.toLocaleString()} rows`);
+        if (pivot.columns.length && columnKeys.length > columns.length) cut.push(`the first ${columns.length} of ${columnKeys.length.toLocaleString()} columns`);
+        if (cut.length) {
+            const message = document.createElement('p');
+            message.className = 'chart-note';
+            message.textContent = `Showing ${cut.join(' and ')}. Totals still count everything.`;
+            container.appendChild(message);
+        }
+    }
+
+    renderChartPanel(container, results, spec, collapsed = false) {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+        container.innerHTML = '';
+
+        if (collapsed) {
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'btn btn-secondary';
+            open.textContent = '📈 Chart these results';
+            open.addEventListener('click', () => this.renderChartPanel(container, results, spec));
+            container.appendChild(open);
+            return;
+        }
+
+        const columns = Object.keys(results[0]);
+        const measures = columns.filter(col => this.isGridNumber(this.resultColumnType(col, results)));
+        const dimensions = columns.filter(col => !measures.includes(col));
+        const numericAxis = spec.type === 'scatter' || spec.type === 'histogram';
+        const pie = spec.type === 'pie' || spec.type === 'doughnut';
+        const update = changes => this.renderChartPanel(container, results, { ...spec, ...changes });
+        const titles = this.chartTitles(spec);
+
+        const controls = document.createElement('div');
+        controls.className = 'chart-controls';
+        const addField = (label, input) => {
+            const wrapper = document.createElement('label');
+            wrapper.textContent = `${label} `;
+            wrapper.appendChild(input);
+            controls.appendChild(wrapper);
+        };
+        const addSelect = (label, value, choices, onChange) => {
+            const select = document.createElement('select');
+            select.className = 'alias-input';
+            choices.forEach(([choice, text]) => {
+                const option = document.createElement('option');
+                option.value = choice;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = value;
+            select.addEventListener('change', () => onChange(select.value));
+            addField(label, select);
+        };
+        const addInput = (label, type, value, placeholder, onChange) => {
+            const input = document.createElement('input');
+            input.type = type;
+            input.className = 'alias-input';
+            input.value = value;
+            input.placeholder = placeholder;
+            if (type === 'number') input.min = '0';
+            input.addEventListener('change', () => onChange(input.value));
+            addField(label, input);
+        };
+        const columnChoices = list => list.map(col => [col, col]);
+
+        addSelect('Chart', spec.type, [['bar', 'Bar'], ['stacked', 'Stacked bar'], ['line', 'Line'], ['pie', 'Pie'], ['doughnut', 'Donut'], ['scatter', 'Scatter'], ['histogram', 'Histogram']], type => {
+            const changes = { type, limit: { bar: 20, stacked: 20, pie: 8, doughnut: 8 }[type] || 0 };
+            if ((type === 'scatter' || type === 'histogram') && !measures.includes(spec.x)) changes.x = measures[0];
+            if (type === 'scatter' && (changes.x || spec.x) === spec.y[0]) changes.y = [measures.find(col => col !== (changes.x || spec.x)) || spec.y[0]];
+            if (type === 'stacked' && !spec.series) changes.series = dimensions.find(col => col !== spec.x) || null;
+            if (type === 'pie' || type === 'doughnut' || type === 'histogram') changes.series = null;
+            if (type === 'pie' || type === 'doughnut') {
+                changes.y = spec.y.slice(0, 1);
+                if (spec.sort === 'none') changes.sort = 'desc';
+            }
+            update(changes);
+        });
+        addSelect(spec.type === 'histogram' ? 'Column' : pie ? 'Slices' : 'X axis', spec.x, columnChoices(numericAxis ? measures : columns), x => update({ x }));
+        if (spec.type !== 'histogram') {
+            const allowAll = measures.length > 1 && !pie && spec.type !== 'scatter' && !spec.series;
+            addSelect(spec.type === 'scatter' ? 'Y axis' : 'Values', spec.y.length > 1 ? '*' : spec.y[0],
+                [...(allowAll ? [['*', 'All number columns']] : []), ...columnChoices(measures)],
+                value => update({ y: value === '*' ? measures.filter(col => col !== spec.x) : [value] }));
+        }
+        if (!pie && spec.type !== 'histogram') {
+            addSelect(spec.type === 'scatter' ? 'Color by' : 'Split by', spec.series || '', [['', 'None'], ...columnChoices(columns.filter(col => col !== spec.x && !spec.y.includes(col)))],
+                series => update({ series: series || null, y: series ? spec.y.slice(0, 1) : spec.y }));
+        }
+        if (!numericAxis) {
+            addSelect('Sort', spec.sort, [['none', 'As returned'], ['desc', 'Largest first'], ['asc', 'Smallest first'], ['label', 'By label']], sort => update({ sort }));
+        }
+        if (spec.type !== 'scatter') {
+            addInput(spec.type === 'histogram' ? 'Bins' : 'Show', 'number', spec.limit || '', spec.type === 'histogram' ? 'Auto' : 'All',
+                value => update({ limit: Math.max(0, parseInt(value, 10) || 0) }));
+        }
+        addInput('Title', 'text', spec.title, titles.title, title => update({ title }));
+        if (!pie) {
+            addInput('X label', 'text', spec.xLabel, titles.x, xLabel => update({ xLabel }));
+            addInput('Y label', 'text', spec.yLabel, titles.y, yLabel => update({ yLabel }));
+        }
+        container.appendChild(controls);
+
+        const wrap = document.createElement('div');
+        wrap.className = 'chart-canvas-wrap';
+        const canvas = document.createElement('canvas');
+        canvas.id = 'resultsChart';
+        canvas.className = 'chart-canvas';
+        wrap.appendChild(canvas);
+        container.appendChild(wrap);
+
+        const data = this.drawChart(canvas, results, spec);
+        const exports = document.createElement('div');
+        exports.className = 'export-actions';
+        exports.textContent = 'Download chart: ';
+        [['PNG', () => this.exportChartPng()], ['SVG', () => this.exportChartSvg(results, spec)]].forEach(([label, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'export-btn';
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            exports.appendChild(button);
+        });
+        // The chart panel only ever shows the result on screen, so its SQL is the last result's
+        const pin = document.createElement('button');
+        pin.type = 'button';
+        pin.className = 'export-btn';
+        pin.textContent = '📌 Pin chart to dashboard';
+        pin.addEventListener('click', () => this.pinToDashboard({ kind: 'chart', title: spec.title || titles.title, sql: this.lastResult.sql, spec }));
+        exports.appendChild(pin);
+        container.appendChild(exports);
+
+        if (data.shown < data.total && spec.type !== 'histogram') {
+            const note = document.createElement('p');
+            note.className = 'chart-note';
+            note.textContent = pie
+                ? `The last ${(data.total - data.shown + 1).toLocaleString()} of ${data.total.toLocaleString()} slices are combined as Other. Change Show to split them out.`
+                : `Showing the first ${data.shown.toLocaleString()} of ${data.total.toLocaleString()} ${this.chartLabel(spec.x)} values. Change Show to see more.`;
+            container.appendChild(note);
+        }
+    }
+
+    drawChart(canvas, results, spec) {
+        const { config, data } = this.chartConfig(results, spec);
+        this.chart = new Chart(canvas.getContext('2d'), config);
+        return data;
+    }
+
+    chartConfig(results, spec) {
+        const data = this.chartData(results, spec);
+        const titles = this.chartTitles(spec);
+        const colors = ['102, 126, 234', '148, 163, 184', '16, 185, 129', '245, 158, 11', '239, 68, 68', '139, 92, 246', '236, 72, 153', '20, 184, 166', '234, 179, 8', '100, 116, 139'];
+        const color = (i, alpha) => `rgba(${colors[i % colors.length]}, ${alpha})`;
+        const pie = spec.type === 'pie' || spec.type === 'doughnut';
+        const stacked = spec.type === 'stacked';
+
+        const datasets = data.datasets.map((dataset, i) => {
+            let style = { backgroundColor: color(i, 0.7), borderColor: color(i, 1), borderWidth: 1 };
+            if (pie) {
+                style = { backgroundColor: data.labels.map((_, j) => color(j, 0.8)), borderColor: '#fff', borderWidth: 2 };
+            } else if (spec.type === 'line') {
+                // Comparison columns from "vs previous period" questions are drawn dashed
+                style = {
+                    borderColor: color(i, 1),
+                    backgroundColor: color(i, 0.15),
+                    borderDash: /^(previous|last_year)_/.test(dataset.key) ? [6, 4] : [],
+                    fill: data.datasets.length === 1,
+                    tension: 0.25,
+                    pointRadius: data.labels.length > 60 ? 0 : 3,
+                    spanGaps: true
+                };
+            } else if (spec.type === 'scatter') {
+                style = { backgroundColor: color(i, 0.6), borderColor: color(i, 1), pointRadius: dataset.data.length > 1000 ? 2 : 4 };
+            } else if (spec.type === 'histogram') {
+                style = { ...style, barPercentage: 1, categoryPercentage: 1 };
+            }
+            return { label: dataset.label, data: dataset.data, ...style };
+        });
+
+        const truncate = function (value) {
+            const label = String(this.getLabelForValue(value));
+            return label.length > 30 ? `${label.substring(0, 27)}...` : label;
+        };
+        const scales = pie ? {} : {
+            x: {
+                stacked,
+                title: { display: true, text: spec.xLabel || titles.x },
+                ticks: spec.type === 'scatter' ? {} : { callback: truncate, maxRotation: 45 }
+            },
+            y: {
+                stacked,
+                beginAtZero: spec.type !== 'scatter',
+                title: { display: true, text: spec.yLabel || titles.y }
+            }
+        };
+
+        const config = {
+            type: pie || spec.type === 'line' || spec.type === 'scatter' ? spec.type : 'bar',
+            data: { labels: data.labels, datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: pie || datasets.length > 1 },
+                    title: { display: true, text: spec.title || titles.title }
+                },
+                scales
+            }
+        };
+        return { config, data };
+    }
+
+    exportFileName(kind, extension) {
+        return `${kind}-${new Date().toISOString().substring(0, 10)}.${extension}`;
+    }
+
+    exportResults(format, results, query) {
+        // Every row that came back, not only the ones the grid has filtered or scrolled to
+        const columns = Object.keys(results[0]);
+        const filename = this.exportFileName('results', format);
+        switch (format) {
+            case 'csv':
+                // A quote in front of =, +, - or @ stops spreadsheets running a cell as a formula
+                this.downloadFile(filename, Papa.unparse({ fields: columns, data: results.map(row => columns.map(col => row[col])) }, { escapeFormulae: true }), 'text/csv');
+                break;
+            case 'xlsx': {
+                const workbook = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(results, { header: columns }), 'Results');
+                this.downloadFile(filename, XLSX.write(workbook, { bookType: 'xlsx', type: 'array' }), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                break;
+            }
+            case 'json':
+                this.downloadFile(filename, JSON.stringify(results, null, 2), 'application/json');
+                break;
+            case 'sql':
+                this.downloadFile(filename, `${query.trim()}\n`, 'application/sql');
+                break;
+        }
+        this.showStatus(`Downloaded ${filename}`, 'success');
+    }
+
+    exportChartPng() {
+        // The chart canvas is transparent; a white backing keeps it readable in dark image viewers
+        const source = this.chart.canvas;
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(source, 0, 0);
+        const filename = this.exportFileName('chart', 'png');
+        canvas.toBlob(blob => {
+            this.downloadFile(filename, blob, 'image/png');
+            this.showStatus(`Downloaded ${filename}`, 'success');
+        }, 'image/png');
+    }
+
+    async exportChartSvg(results, spec) {
+        // The chart is drawn a second time onto an SVG-backed context; it's only loaded when needed
+        try {
+            const { Context } = await import('https://cdn.jsdelivr.net/npm/svgcanvas@2.6.0/+esm');
+            const width = this.chart.width;
+            const height = this.chart.height;
+            const context = new Context({ width, height });
+            context.getContext = () => context;
+            const { config } = this.chartConfig(results, spec);
+            const chart = new Chart(context, {
+                ...config,
+                platform: Chart.BasicPlatform,
+                options: { ...config.options, responsive: false, animation: false, devicePixelRatio: 1 }
+            });
+            const svg = context.getSerializedSvg();
+            chart.destroy();
+
+            const filename = this.exportFileName('chart', 'svg');
+            this.downloadFile(filename, svg, 'image/svg+xml');
+            this.showStatus(`Downloaded ${filename}`, 'success');
+        } catch (error) {
+            console.error('SVG export failed:', error);
+            this.showStatus(`Could not create the SVG: ${error.message}`, 'error');
+        }
+    }
+
+    downloadDatabase() {
+        // The worker's latest snapshot is the whole database, with the cleaned and typed tables
+        if (!this.snapshot) return;
+        const filename = this.datasets.length === 1 ? `${this.datasets[0].tableName}.sqlite` : 'data-explorer.sqlite';
+        this.downloadFile(filename, new Blob([this.snapshot], { type: 'application/vnd.sqlite3' }));
+        this.showStatus(`Downloaded ${filename}`, 'success');
+    }
+
+    chartData(results, spec) {
+        const number = value => value === null || value === undefined || value === '' || isNaN(value) ? null : Number(value);
+        const text = value => value === null || value === undefined || value === '' ? '(blank)' : String(value);
+        const measure = spec.y[0];
+
+        if (spec.type === 'histogram') {
+            return this.histogramData(results.map(row => number(row[spec.x])).filter(value => value !== null), spec.limit);
+        }
+
+        // Series beyond the ten most common are combined, so the legend stays readable
+        let seriesKey = () => null;
+        if (spec.series) {
+            const counts = new Map();
+            results.forEach(row => counts.set(text(row[spec.series]), (counts.get(text(row[spec.series])) || 0) + 1));
+            const kept = new Set([...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a)).slice(0, counts.size > 10 ? 9 : 10));
+            seriesKey = row => kept.has(text(row[spec.series])) ? text(row[spec.series]) : 'Other';
+        }
+
+        if (spec.type === 'scatter') {
+            const groups = new Map();
+            results.forEach(row => {
+                const x = number(row[spec.x]);
+                const y = number(row[measure]);
+                if (x === null || y === null) return;
+                const key = seriesKey(row) || measure;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push({ x, y });
+            });
+            const datasets = [...groups].map(([key, points]) => ({ key, label: spec.series ? key : this.chartLabel(key), data: points }));
+            return { labels: [], datasets, shown: results.length, total: results.length };
+        }
+
+        // One label per x value and one dataset per measure, or per series value; repeated labels are added up
+        const cells = new Map();
+        const keys = spec.series ? [] : spec.y.slice();
+        results.forEach(row => {
+            const label = text(row[spec.x]);
+            if (!cells.has(label)) cells.set(label, {});
+            const cell = cells.get(label);
+            const add = (key, value) => {
+                if (value !== null) cell[key] = (cell[key] || 0) + value;
+                else if (!(key in cell)) cell[key] = null;
+            };
+            if (spec.series) {
+                const key = seriesKey(row);
+                if (!keys.includes(key)) keys.push(key);
+                add(key, number(row[measure]));
+            } else {
+                spec.y.forEach(col => add(col, number(row[col])));
+            }
+        });
+
+        let labels = [...cells.keys()];
+        const totals = new Map(labels.map(label => [label, keys.reduce((sum, key) => sum + (cells.get(label)[key] || 0), 0)]));
+        if (spec.sort === 'desc' || spec.sort === 'asc') {
+            const direction = spec.sort === 'desc' ? -1 : 1;
+            labels.sort((a, b) => direction * (totals.get(a) - totals.get(b)));
+        } else if (spec.sort === 'label') {
+            const collator = new Intl.Collator(undefined, { numeric: true });
+            labels.sort((a, b) => collator.compare(a, b));
+        }
+
+        const total = labels.length;
+        if (spec.limit && labels.length > spec.limit) {
+            if (spec.type === 'pie' || spec.type === 'doughnut') {
+                // A pie has to add up to the whole, so the rest becomes one slice
+                const rest = labels.slice(spec.limit - 1);
+                const other = {};
+                keys.forEach(key => { other[key] = rest.reduce((sum, label) => sum + (cells.get(label)[key] || 0), 0); });
+                labels = [...labels.slice(0, spec.limit - 1), 'Other'];
+                cells.set('Other', other);
+            } else {
+                labels = labels.slice(0, spec.limit);
+            }
+        }
+
+        const datasets = keys.map(key => ({
+            key,
+            label: spec.series ? key : this.chartLabel(key),
+            data: labels.map(label => key in cells.get(label) ? cells.get(label)[key] : null)
+        }));
+        return { labels, datasets, shown: labels.length, total };
+    }
+
+    histogramData(values, bins) {
+        if (!values.length) return { labels: [], datasets: [], shown: 0, total: 0 };
+
+        const min = values.reduce((a, b) => Math.min(a, b));
+        const max = values.reduce((a, b) => Math.max(a, b));
+        const whole = values.every(value => Number.isInteger(value));
+        const count = bins || Math.min(30, Math.ceil(Math.log2(values.length) + 1));
+        // Whole numbers get whole-number bins, so a bar never covers half a value
+        let width = (max - min) / count || 1;
+        if (whole) width = Math.max(1, Math.ceil(width));
+        const buckets = whole ? Math.floor((max - min) / width) + 1 : count;
+
+        const counts = new Array(buckets).fill(0);
+        values.forEach(value => { counts[Math.min(buckets - 1, Math.floor((value - min) / width))]++; });
+        const format = value => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+        const labels = counts.map((_, i) => {
+            const low = min + i * width;
+            if (whole) return width === 1 ? format(low) : `${format(low)}–${format(low + width - 1)}`;
+            return `${format(low)}–${format(low + width)}`;
+        });
+        return { labels, datasets: [{ key: 'rows', label: 'Rows', data: counts }], shown: buckets, total: buckets };
+    }
+
+    isTimeBucketColumn(results, column) {
+        const bucketPattern = /^\d{4}(-\d{2}(-\d{2}( \d{2}:\d{2}:\d{2})?)?|-Q[1-4]|-W\d{2})?$/;
+        const values = results.map(row => row[column]).filter(value => value !== null && value !== undefined);
+        // Bare four-digit numbers only count as years when the column says so
+        const onlyYears = values.every(value => /^\d{4}$/.test(String(value)));
+        if (onlyYears && !/year/i.test(column)) return false;
+        return values.length > 1 && values.every(value => bucketPattern.test(String(value)));
+    }
+
+    emptyDashboard() {
+        return { tiles: [], filters: { dateColumn: '', from: '', to: '', categoryColumn: '', category: '' } };
+    }
+
+    pinToDashboard({ kind, title, sql, spec = null }) {
+        this.dashboard.tiles.push({
+            id: `tile-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            kind,
+            title,
+            sql,
+            spec,
+            width: 2,
+            height: 2
+        });
+        this.scheduleSessionSave();
+        this.renderDashboard();
+        this.addMessage(`📌 Pinned "${title}" to the dashboard.`, 'ai');
+    }
+
+    dashboardColumns() {
+        // Filters pick a column by name, and apply to every table that has a column with that name
+        const columns = { dates: [], categories: [] };
+        this.datasets.forEach(dataset => dataset.schema.forEach(col => {
+            const type = dataset.types[col];
+            const list = this.isDateType(type) ? columns.dates : type === 'TEXT' ? columns.categories : null;
+            if (list && !list.includes(col)) list.push(col);
+        }));
+        return columns;
+    }
+
+    dashboardSql(sql) {
+        const q = (name) => this.quoteIdentifier(name);
+        const { dateColumn, from, to, categoryColumn, category } = this.dashboard.filters;
+        // Comments and strings are blanked out, but not quoted names: generated SQL quotes every table
+        const words = sql.replace(/--[^\n]*|\/\*[\s\S]*?(\*\/|$)|'(?:[^']|'')*'?/g, ' ').toLowerCase();
+        const params = [];
+        const ctes = [];
+
+        this.datasets.forEach(dataset => {
+            // Only tables the tile reads from; the word check may over-match, which only adds an unused CTE
+            const table = dataset.tableName;
+            if (!new RegExp(`(^|[^\\w])${table.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^\\w]|$)`).test(words)) return;
+            const has = (column) => column && dataset.schema.includes(column);
+            const conditions = [];
+            if (has(dateColumn) && from) {
+                conditions.push(`${q(dateColumn)} >= ?`);
+                params.push(from);
+            }
+            if (has(dateColumn) && to) {
+                conditions.push(`${q(dateColumn)} < date(?, '+1 day')`);
+                params.push(to);
+            }
+            if (has(categoryColumn) && category) {
+                conditions.push(`${q(categoryColumn)} = ?`);
+                params.push(category);
+            }
+            // main. reaches the real table; a bare name inside a CTE of the same name would refer to itself
+            if (conditions.length) ctes.push(`${q(table)} AS (SELECT * FROM main.${q(table)} WHERE ${conditions.join(' AND ')})`);
+        });
+
+        if (!ctes.length) return { sql, params, filtered: false };
+        const trimmed = sql.trim();
+        const existing = /^with(\s+recursive)?\s/i.exec(trimmed);
+        const wrapped = existing
+            ? `WITH${existing[1] || ''} ${ctes.join(', ')}, ${trimmed.slice(existing[0].length)}`
+            : `WITH ${ctes.join(', ')} ${trimmed}`;
+        return { sql: wrapped, params, filtered: true };
+    }
+
+    async renderDashboard() {
+        const run = this.dashboardRun = (this.dashboardRun || 0) + 1;
+        Object.values(this.tileCharts).forEach(chart => chart.destroy());
+        this.tileCharts = {};
+        this.dashboardSection.hidden = this.dashboard.tiles.length === 0;
+        this.dashboardGrid.innerHTML = '';
+        if (!this.dashboard.tiles.length) return;
+
+        await this.renderDashboardFilters();
+        if (run !== this.dashboardRun) return;
+
+        const bodies = this.dashboard.tiles.map(tile => this.renderTile(tile));
+        const active = Object.values(this.dashboard.filters).some(Boolean);
+        // One at a time: the worker answers queries in order anyway
+        for (const [i, tile] of this.dashboard.tiles.entries()) {
+            const body = bodies[i];
+            if (!this.datasets.length) {
+                body.textContent = 'Load the data again to fill this tile.';
+                continue;
+            }
+            try {
+                const { sql, params, filtered } = this.dashboardSql(tile.sql);
+                const results = await this.executeQuery(sql, params);
+                if (run !== this.dashboardRun) return;
+                this.renderTileBody(tile, body, results);
+                if (active && !filtered) body.title = 'The dashboard filters don\'t apply to this tile: its tables have none of the filter columns.';
+            } catch (error) {
+                if (run !== this.dashboardRun) return;
+                body.textContent = error.code === 'CANCELLED'
+                    ? 'Stopped. Press Refresh to run it again.'
+                    : `This tile's query no longer runs on the loaded tables: ${error.message.replace(/^SQL Error: /, '')}`;
+            }
+        }
+    }
+
+    async renderDashboardFilters() {
+        const filters = this.dashboard.filters;
+        const { dates, categories } = this.dashboardColumns();
+        const update = (changes) => {
+            Object.assign(filters, changes);
+            this.scheduleSessionSave();
+            this.renderDashboard();
+        };
+
+        // Values for the category dropdown come from every table with that column
+        let values = [];
+        const tables = this.datasets.filter(dataset => dataset.schema.includes(filters.categoryColumn));
+        if (tables.length) {
+            const q = (name) => this.quoteIdentifier(name);
+            const union = tables.map(dataset => `SELECT ${q(filters.categoryColumn)} AS value FROM main.${q(dataset.tableName)}`).join(' UNION ');
+            try {
+                const rows = await this.executeQuery(`SELECT DISTINCT value FROM (${union}) WHERE value IS NOT NULL AND TRIM(value) != '' ORDER BY value LIMIT 500`);
+                values = rows.map(row => String(row.value));
+            } catch (error) {
+                console.warn('Could not list filter values:', error);
+            }
+        }
+
+        this.dashboardFilters.innerHTML = '';
+        const addField = (label, input) => {
+            const wrapper = document.createElement('label');
+            wrapper.textContent = `${label} `;
+            wrapper.appendChild(input);
+            this.dashboardFilters.appendChild(wrapper);
+        };
+        const select = (choices, value, onChange) => {
+            const element = document.createElement('select');
+            element.className = 'alias-input';
+            choices.forEach(([choice, text]) => {
+                const option = document.createElement('option');
+                option.value = choice;
+                option.textContent = text;
+                element.appendChild(option);
+            });
+            element.value = value;
+            element.addEventListener('change', () => onChange(element.value));
+            return element;
+        };
+        const dateInput = (value, onChange) => {
+            const input = document.createElement('input');
+            input.type = 'date';
+            input.className = 'alias-input';
+            input.value = value;
+            input.addEventListener('change', () => onChange(input.value));
+            return input;
+        };
+
+        if (dates.length) {
+            addField('Dates in', select([['', 'Any column'], ...dates.map(col => [col, col])], filters.dateColumn,
+                dateColumn => update({ dateColumn, from: dateColumn ? filters.from : '', to: dateColumn ? filters.to : '' })));
+            if (filters.dateColumn) {
+                addField('from', dateInput(filters.from, from => update({ from })));
+                addField('to', dateInput(filters.to, to => update({ to })));
+            }
+        }
+        if (categories.length) {
+            addField('Only', select([['', 'No category filter'], ...categories.map(col => [col, col])], filters.categoryColumn,
+                categoryColumn => update({ categoryColumn, category: '' })));
+            if (filters.categoryColumn) {
+                const choices = values.map(value => [value, value]);
+                if (filters.category && !values.includes(filters.category)) choices.unshift([filters.category, filters.category]);
+                addField('=', select([['', 'All'], ...choices], filters.category, category => update({ category })));
+            }
+        }
+        if (Object.values(filters).some(Boolean)) {
+            const clear = document.createElement('button');
+            clear.type = 'button';
+            clear.className = 'btn btn-secondary';
+            clear.textContent = 'Clear filters';
+            clear.addEventListener('click', () => update(this.emptyDashboard().filters));
+            this.dashboardFilters.appendChild(clear);
+        }
+        this.dashboardFilters.hidden = !this.dashboardFilters.children.length;
+    }
+
+    renderTile(tile) {
+        const element = document.createElement('div');
+        element.className = 'dashboard-tile';
+        element.style.gridColumn = `span ${tile.width}`;
+        element.style.gridRow = `span ${tile.height}`;
+
+        const header = document.createElement('div');
+        header.className = 'dashboard-tile-header';
+        header.draggable = true;
+        header.title = 'Drag to move';
+        const title = document.createElement('strong');
+        title.textContent = tile.title;
+        const actions = document.createElement('div');
+        actions.className = 'dataset-actions';
+        [['Open', () => this.openTile(tile)], ['Remove', () => this.removeTile(tile.id)]].forEach(([label, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.textContent = label;
+            button.setAttribute('aria-label', `${label} tile ${tile.title}`);
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        });
+        header.appendChild(title);
+        header.appendChild(actions);
+
+        // Tiles are dropped in front of the tile they land on
+        header.addEventListener('dragstart', (event) => {
+            this.draggingTile = tile.id;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', tile.title);
+        });
+        header.addEventListener('dragend', () => { this.draggingTile = null; });
+        element.addEventListener('dragover', (event) => {
+            if (!this.draggingTile || this.draggingTile === tile.id) return;
+            event.preventDefault();
+            element.classList.add('drop-target');
+        });
+        element.addEventListener('dragleave', () => element.classList.remove('drop-target'));
+        element.addEventListener('drop', (event) => {
+            event.preventDefault();
+            element.classList.remove('drop-target');
+            this.moveTile(this.draggingTile, tile.id);
+            this.draggingTile = null;
+        });
+
+        const body = document.createElement('div');
+        body.className = 'dashboard-tile-body';
+        body.textContent = 'Running...';
+
+        // Resizing snaps to the grid's columns and rows
+        const handle = document.createElement('span');
+        handle.className = 'dashboard-resize';
+        handle.setAttribute('aria-hidden', 'true');
+        handle.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            const columns = getComputedStyle(this.dashboardGrid).gridTemplateColumns.split(' ').length;
+            const cell = (this.dashboardGrid.clientWidth + 16) / columns;
+            const startX = event.clientX;
+            const startY = event.clientY;
+            const startWidth = tile.width;
+            const startHeight = tile.height;
+            const move = (e) => {
+                tile.width = Math.min(columns, Math.max(1, startWidth + Math.round((e.clientX - startX) / cell)));
+                tile.height = Math.min(4, Math.max(1, startHeight + Math.round((e.clientY - startY) / 196)));
+                element.style.gridColumn = `span ${tile.width}`;
+                element.style.gridRow = `span ${tile.height}`;
+            };
+            const stop = () => {
+                window.removeEventListener('pointermove', move);
+                window.removeEventListener('pointerup', stop);
+                this.scheduleSessionSave();
+            };
+            window.addEventListener('pointermove', move);
+            window.addEventListener('pointerup', stop);
+        });
+
+        element.appendChild(header);
+        element.appendChild(body);
+        element.appendChild(handle);
+        this.dashboardGrid.appendChild(element);
+        return body;
+    }
+
+    renderTileBody(tile, body, results) {
+        body.innerHTML = '';
+        if (!results.length) {
+            body.textContent = Object.values(this.dashboard.filters).some(Boolean) ? 'No rows match the dashboard filters.' : 'No results.';
+            return;
+        }
+
+        if (tile.kind === 'chart') {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.setAttribute('aria-label', tile.title);
+                body.appendChild(canvas);
+                const { config } = this.chartConfig(results, tile.spec);
+                this.tileCharts[tile.id] = new Chart(canvas.getContext('2d'), config);
+            } catch (error) {
+                body.textContent = `This chart no longer fits the data: ${error.message}`;
+            }
+            return;
+        }
+
+        this.renderStaticTable(body, results, 100, 'Open the tile to see them all.');
+    }
+
+    renderStaticTable(container, results, limit, more = '') {
+        // A plain table for tiles and reports, where the full grid would be too much
+        const columns = Object.keys(results[0]);
+        const types = columns.map(col => this.resultColumnType(col, results));
+        const table = document.createElement('table');
+        table.className = 'dashboard-table';
+        const head = table.createTHead().insertRow();
+        columns.forEach((col, i) => {
+            const cell = document.createElement('th');
+            cell.textContent = col;
+            if (this.isGridNumber(types[i])) cell.className = 'numeric';
+            head.appendChild(cell);
+        });
+        const rows = table.createTBody();
+        results.slice(0, limit).forEach(row => {
+            const line = rows.insertRow();
+            columns.forEach((col, i) => {
+                const cell = line.insertCell();
+                cell.textContent = this.formatGridValue(row[col], types[i]);
+                if (this.isGridNumber(types[i])) cell.className = 'numeric';
+            });
+        });
+        container.appendChild(table);
+        if (results.length > limit) {
+            const note = document.createElement('p');
+            note.className = 'chart-note';
+            note.textContent = `First ${limit.toLocaleString()} of ${results.length.toLocaleString()} rows.${more ? ` ${more}` : ''}`;
+            container.appendChild(note);
+        }
+    }
+
+    moveTile(from, to) {
+        const tiles = this.dashboard.tiles;
+        const moving = tiles.find(tile => tile.id === from);
+        if (!moving || from === to) return;
+        tiles.splice(tiles.indexOf(moving), 1);
+        tiles.splice(tiles.findIndex(tile => tile.id === to), 0, moving);
+        this.scheduleSessionSave();
+        this.renderDashboard();
+    }
+
+    removeTile(id) {
+        this.dashboard.tiles = this.dashboard.tiles.filter(tile => tile.id !== id);
+        this.scheduleSessionSave();
+        this.renderDashboard();
+    }
+
+    async openTile(tile) {
+        // The full result goes to the results panel, filtered the same way as the tile
+        this.showLoading(true, 'Running query...');
+        try {
+            const { sql, params } = this.dashboardSql(tile.sql);
+            const results = await this.executeQuery(sql, params);
+            this.conversation.lastQuery = null;
+            this.displayResults(results, this.inlineParams(sql, params));
+        } catch (error) {
+            if (error.code !== 'CANCELLED') this.showStatus(`Could not open "${tile.title}": ${error.message}`, 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    toggleReport() {
+        if (!this.reportSection.hidden) {
+            this.reportSection.hidden = true;
+            return;
+        }
+        if (!this.report.trim()) this.report = this.reportTemplate();
+        this.reportEditor.value = this.report;
+        this.reportSection.hidden = false;
+        this.runReport();
+        this.reportSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    reportTemplate() {
+        const dataset = this.datasets[0];
+        if (!dataset) return '# Report\n';
+        const q = (name) => this.quoteIdentifier(name);
+        const table = q(dataset.tableName);
+        const category = dataset.schema.find(col => dataset.types[col] === 'TEXT');
+        const lines = [
+            `# ${dataset.tableName}`,
+            '',
+            '```sql summary',
+            `SELECT COUNT(*) AS row_count FROM ${table}`,
+            '```',
+            '',
+            `The table has **{summary[0].row_count}** rows.`,
+            '',
+            '<BigValue data={summary} value=row_count title="Rows" />'
+        ];
+        if (category) {
+            lines.push('', `## By ${category}`, '', '```sql by_group', `SELECT ${q(category)}, COUNT(*) AS row_count FROM ${table} GROUP BY 1 ORDER BY 2 DESC LIMIT 10`, '```', '',
+                `The largest group is {by_group[0]["${category.replace(/"/g, '')}"]}.`, '',
+                `<BarChart data={by_group} x="${category.replace(/"/g, '')}" y=row_count />`, '', '<DataTable data={by_group} />');
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    parseReport(source) {
+        // Markdown blocks, ```sql name fences and <Component ... /> tags, in the order they appear
+        const lines = source.replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        const flush = () => {
+            if (paragraph.length) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+            paragraph = [];
+        };
+        let unnamed = 0;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const trimmed = line.trim();
+            let match;
+
+            if ((match = /^```\s*(\w*)\s*([\w-]*)/.exec(trimmed))) {
+                flush();
+                const body = [];
+                for (i++; i < lines.length && !/^```\s*$/.test(lines[i].trim()); i++) body.push(lines[i]);
+                if (match[1].toLowerCase() === 'sql') {
+                    blocks.push({ type: 'sql', name: match[2] || `query${++unnamed}`, sql: body.join('\n') });
+                } else {
+                    blocks.push({ type: 'code', text: body.join('\n') });
+                }
+            } else if (/^<[A-Z]/.test(trimmed)) {
+                flush();
+                let tag = trimmed;
+                while (!/\/>\s*$|<\/[A-Z]\w*>\s*$|^<[A-Z]\w*[^<]*>\s*$/.test(tag) && i + 1 < lines.length) tag += ` ${lines[++i].trim()}`;
+                const [, name, attributes] = /^<([A-Z]\w*)([\s\S]*?)\/?>(?:\s*<\/\1>)?\s*$/.exec(tag) || [null, tag.slice(1).split(/\s/)[0], ''];
+                blocks.push({ type: 'component', name, props: this.parseComponentProps(attributes || '') });
+            } else if (/^<\/[A-Z]\w*>$/.test(trimmed)) {
+                // The closing half of <DataTable ...></DataTable> written on its own line
+                flush();
+            } else if ((match = /^(#{1,6})\s+(.*)$/.exec(trimmed))) {
+                flush();
+                blocks.push({ type: 'heading', level: match[1].length, text: match[2].replace(/\s+#+$/, '') });
+            } else if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+                flush();
+                blocks.push({ type: 'rule' });
+            } else if (/^>/.test(trimmed)) {
+                flush();
+                const quote = [];
+                for (; i < lines.length && /^>/.test(lines[i].trim()); i++) quote.push(lines[i].trim().replace(/^>\s?/, ''));
+                i--;
+                blocks.push({ type: 'quote', text: quote.join(' ') });
+            } else if (/^([-*+]|\d+[.)])\s+/.test(trimmed)) {
+                flush();
+                const ordered = /^\d/.test(trimmed);
+                const items = [];
+                for (; i < lines.length && /^([-*+]|\d+[.)])\s+/.test(lines[i].trim()); i++) items.push(lines[i].trim().replace(/^([-*+]|\d+[.)])\s+/, ''));
+                i--;
+                blocks.push({ type: 'list', ordered, items });
+            } else if (!trimmed) {
+                flush();
+            } else {
+                paragraph.push(trimmed);
+            }
+        }
+        flush();
+        return blocks;
+    }
+
+    parseComponentProps(text) {
+        // x=col, x="col", x='col', data={query}, y={['a', 'b']}, sort={false} and bare flags
+        const props = {};
+        const pattern = /([A-Za-z_][\w-]*)(?:\s*=\s*(?:\{([^}]*)\}|"([^"]*)"|'([^']*)'|([^\s"'{}/>]+)))?/g;
+        let match;
+        while ((match = pattern.exec(text))) {
+            const [, key, braced, double, single, bare] = match;
+            if (braced !== undefined) {
+                const expression = braced.trim();
+                if (/^\[[\s\S]*\]$/.test(expression)) {
+                    props[key] = (expression.match(/"[^"]*"|'[^']*'/g) || []).map(item => item.slice(1, -1));
+                } else if (expression === 'true' || expression === 'false') {
+                    props[key] = expression === 'true';
+                } else if (/^-?\d+(\.\d+)?$/.test(expression)) {
+                    props[key] = Number(expression);
+                } else {
+                    props[key] = { query: expression };
+                }
+            } else {
+                const value = double !== undefined ? double : single !== undefined ? single : bare;
+                props[key] = value === undefined ? true : value;
+            }
+        }
+        return props;
+    }
+
+    async runReport() {
+        const run = this.reportRun = (this.reportRun || 0) + 1;
+        const blocks = this.parseReport(this.report);
+
+        // Every query runs first, so a component can use a query written further down
+        const queries = {};
+        const errors = {};
+        if (this.datasets.length) {
+            for (const block of blocks.filter(b => b.type === 'sql')) {
+                try {
+                    queries[block.name] = await this.executeQuery(block.sql);
+                } catch (error) {
+                    if (error.code === 'CANCELLED') return;
+                    errors[block.name] = error.message.replace(/^SQL Error: /, '');
+                }
+                if (run !== this.reportRun) return;
+            }
+        }
+
+        this.reportCharts.forEach(chart => chart.destroy());
+        this.reportCharts = [];
+        this.reportPreview.innerHTML = '';
+        if (!this.datasets.length && blocks.some(b => b.type === 'sql')) {
+            this.reportPreview.appendChild(this.reportError('Load the data this report uses, then press Run.'));
+        }
+        blocks.forEach(block => this.renderReportBlock(block, queries, errors));
+    }
+
+    renderReportBlock(block, queries, errors) {
+        const preview = this.reportPreview;
+        const element = (tag, text) => {
+            const node = document.createElement(tag);
+            if (text !== undefined) this.appendReportInline(node, text, queries);
+            preview.appendChild(node);
+            return node;
+        };
+
+        switch (block.type) {
+            case 'heading':
+                element(`h${block.level}`, block.text);
+                break;
+            case 'paragraph':
+                element('p', block.text);
+                break;
+            case 'quote':
+                element('blockquote', block.text);
+                break;
+            case 'rule':
+                element('hr');
+                break;
+            case 'list': {
+                const list = element(block.ordered ? 'ol' : 'ul');
+                block.items.forEach(item => {
+                    const entry = document.createElement('li');
+                    this.appendReportInline(entry, item, queries);
+                    list.appendChild(entry);
+                });
+                break;
+            }
+            case 'code': {
+                const code = document.createElement('code');
+                code.textContent = block.text;
+                element('pre').appendChild(code);
+                break;
+            }
+            case 'sql': {
+                // The query stays in the report, folded away, so readers can see where a number came from
+                const details = element('details');
+                details.className = 'report-sql';
+                const summary = document.createElement('summary');
+                summary.textContent = errors[block.name] ? `${block.name} (failed)` : `${block.name}: ${(queries[block.name] || []).length.toLocaleString()} rows`;
+                const code = document.createElement('pre');
+                code.textContent = block.sql.trim();
+                details.appendChild(summary);
+                details.appendChild(code);
+                if (errors[block.name]) preview.appendChild(this.reportError(`Query ${block.name} failed: ${errors[block.name]}`));
+                break;
+            }
+            case 'component':
+                try {
+                    this.renderReportComponent(block, queries, errors);
+                } catch (error) {
+                    preview.appendChild(this.reportError(`<${block.name}>: ${error.message}`));
+                }
+                break;
+        }
+    }
+
+    renderReportComponent({ name, props }, queries, errors) {
+        const charts = { BarChart: 'bar', LineChart: 'line', AreaChart: 'line', ScatterPlot: 'scatter', Histogram: 'histogram' };
+        if (!charts[name] && name !== 'DataTable' && name !== 'BigValue') {
+            throw new Error(`unknown component. Use ${[...Object.keys(charts), 'DataTable', 'BigValue'].join(', ')}`);
+        }
+        const source = props.data && props.data.query;
+        if (!source) throw new Error('needs data={query_name}');
+        if (errors[source]) throw new Error(`query ${source} failed`);
+        const rows = queries[source];
+        if (!rows) throw new Error(`there is no query named ${source}`);
+        if (!rows.length) {
+            this.reportPreview.appendChild(this.reportError(`<${name}>: ${source} returned no rows`));
             return;
         }
 
-        const columns = Object.keys(results[0]);
-        const insights = this.generateInsights(results, query);
-        const chartConfig = this.determineChartType(results, columns);
+        const columns = Object.keys(rows[0]);
+        const numeric = columns.filter(col => this.isGridNumber(this.resultColumnType(col, rows)));
+        const column = (value, fallback) => {
+            const col = typeof value === 'string' ? value : fallback;
+            if (!columns.includes(col)) throw new Error(`${source} has no column ${col === undefined ? 'to use' : `named ${col}`}`);
+            return col;
+        };
 
-        let html = `
-            <div style="margin-bottom: 20px;">
-                <strong>SQL Query:</strong> <code style="background: #f1f5f9; padding: 4px 8px; border-radius: 4px;">${query}</code>
-            </div>
-        `;
+        if (name === 'DataTable') {
+            const wrap = document.createElement('div');
+            wrap.className = 'report-table';
+            this.renderStaticTable(wrap, rows, props.rows === 'all' ? rows.length : Math.max(1, parseInt(props.rows, 10) || 10));
+            this.reportPreview.appendChild(wrap);
+            return;
+        }
 
-        // Add insights panel
-        if (insights.length > 0) {
-            html += `
-                <div class="insights-panel">
-                    <h4>📊 Key Insights</h4>
-                    ${insights.map(insight => `<div class="insight-item">${insight}</div>`).join('')}
-                </div>
-            `;
+        if (name === 'BigValue') {
+            const value = column(props.value, numeric[0]);
+            // Side by side BigValues share a row, like the metric cards under a result
+            let grid = this.reportPreview.lastElementChild;
+            if (!grid || !grid.classList.contains('metrics-grid')) {
+                grid = document.createElement('div');
+                grid.className = 'metrics-grid';
+                this.reportPreview.appendChild(grid);
+            }
+            const card = document.createElement('div');
+            card.className = 'metric-card';
+            const number = document.createElement('div');
+            number.className = 'metric-value';
+            number.textContent = this.formatGridValue(rows[0][value], this.resultColumnType(value, rows));
+            const label = document.createElement('div');
+            label.className = 'metric-label';
+            label.textContent = typeof props.title === 'string' ? props.title : value.replace(/_/g, ' ').toUpperCase();
+            card.appendChild(number);
+            card.appendChild(label);
+            grid.appendChild(card);
+            return;
         }
 
-        // Add metrics if we have summary data
-        const metrics = this.extractMetrics(results, columns);
-        if (metrics.length > 0) {
-            html += `
-                <div class="metrics-grid">
-                    ${metrics.map(metric => `
-                        <div class="metric-card">
-                            <div class="metric-value">${metric.value}</div>
-                            <div class="metric-label">${metric.label}</div>
-                        </div>
-                    `).join('')}
-                </div>
-            `;
+        const type = charts[name] === 'bar' && props.series && props.type !== 'grouped' ? 'stacked' : charts[name];
+        const x = column(props.x, type === 'histogram' || type === 'scatter' ? numeric[0] : columns[0]);
+        const y = [].concat(props.y || numeric.filter(col => col !== x).slice(0, type === 'scatter' ? 1 : undefined)).map(col => column(col));
+        const xType = this.resultColumnType(x, rows);
+        const spec = {
+            type,
+            x,
+            y,
+            series: props.series ? column(props.series) : null,
+            // Evidence sorts bar charts by value unless told not to; dates and numbers keep their order
+            sort: type.startsWith('bar') || type === 'stacked' ? (props.sort === false || this.isGridNumber(xType) || this.isDateType(xType) ? 'none' : 'desc') : 'none',
+            limit: 0,
+            title: typeof props.title === 'string' ? props.title : '',
+            xLabel: typeof props.xAxisTitle === 'string' ? props.xAxisTitle : '',
+            yLabel: typeof props.yAxisTitle === 'string' ? props.yAxisTitle : ''
+        };
+        if (!spec.y.length && type !== 'histogram') throw new Error(`${source} has no number column for y`);
+
+        const { config } = this.chartConfig(rows, spec);
+        // Drawn at once, so an export straight after Run captures the finished chart
+        config.options.animation = false;
+        if (name === 'AreaChart') config.data.datasets.forEach(dataset => { dataset.fill = true; });
+
+        const wrap = document.createElement('div');
+        wrap.className = 'report-chart';
+        const canvas = document.createElement('canvas');
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', spec.title || this.chartTitles(spec).title);
+        wrap.appendChild(canvas);
+        this.reportPreview.appendChild(wrap);
+        this.reportCharts.push(new Chart(canvas.getContext('2d'), config));
+    }
+
+    appendReportInline(parent, text, queries) {
+        // `code`, {query[0].column}, **bold**, *italic* and [links](https://...); everything else is plain text
+        const pattern = /`([^`]+)`|\{\s*([A-Za-z_]\w*)\s*\[\s*(\d+)\s*\]\s*(?:\.\s*([A-Za-z_]\w*)|\[\s*(["'])(.*?)\5\s*\])\s*\}|\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match.index > last) parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+            const [whole, code, source, row, dotted, , quoted, bold, italic, label, href] = match;
+            if (code !== undefined) {
+                const node = document.createElement('code');
+                node.textContent = code;
+                parent.appendChild(node);
+            } else if (source !== undefined) {
+                parent.appendChild(this.reportReference(whole, queries[source], Number(row), dotted !== undefined ? dotted : quoted));
+            } else if (bold !== undefined || italic !== undefined) {
+                const node = document.createElement(bold !== undefined ? 'strong' : 'em');
+                this.appendReportInline(node, bold !== undefined ? bold : italic, queries);
+                parent.appendChild(node);
+            } else {
+                const safe = /^(https?:|mailto:|#)/i.test(href);
+                const node = document.createElement(safe ? 'a' : 'span');
+                if (safe) {
+                    node.href = href;
+                    node.rel = 'noopener noreferrer';
+                }
+                this.appendReportInline(node, label, queries);
+                parent.appendChild(node);
+            }
+            last = match.index + whole.length;
         }
+        if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+    }
 
-        // Add chart if appropriate
-        if (chartConfig && results.length > 1 && results.length < 100) {
-            html += `
-                <div class="chart-container">
-                    <canvas id="resultsChart" class="chart-canvas"></canvas>
-                </div>
-            `;
+    reportReference(expression, rows, index, column) {
+        const node = document.createElement('span');
+        const row = rows && rows[index];
+        if (row && Object.prototype.hasOwnProperty.call(row, column)) {
+            node.className = 'report-value';
+            node.textContent = this.formatGridValue(row[column], this.resultColumnType(column, rows));
+        } else {
+            // Left visible so a typo shows up in the report instead of an empty gap
+            node.className = 'report-missing';
+            node.textContent = expression;
+            node.title = rows ? `No ${column} in row ${index}` : 'No query with that name, or it failed';
         }
+        return node;
+    }
 
-        // Add data table
-        const displayLimit = results.length > 1000 ? 50 : 100;
-        html += `
-            <div style="margin-top: 24px;">
-                <h4 style="font-size: 1.125rem; font-weight: 600; margin-bottom: 12px; color: var(--text-primary);">📋 Data Table</h4>
-                <p style="color: var(--text-secondary); margin-bottom: 16px; font-size: 0.875rem;">
-                    Showing top ${Math.min(displayLimit, results.length)} of ${results.length.toLocaleString()} results
-                </p>
-                <div style="overflow-x: auto; border-radius: var(--radius-sm); border: 1px solid var(--border);">
-                    <table class="results-table">
-                        <thead>
-                            <tr>
-                                <th style="min-width: 60px;">#</th>
-                                ${columns.slice(1).map(col => `<th>${col.replace('Aggregated: ', '').replace('Installed Software: ', '')}</th>`).join('')}
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${results.slice(0, displayLimit).map((row, index) => `
-                                <tr>
-                                    <td style="background: var(--background); font-weight: 600; color: var(--primary);">${index + 1}</td>
-                                    ${columns.slice(1).map(col => `<td>${this.formatCellValue(row[col])}</td>`).join('')}
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </div>
-                ${results.length > displayLimit ? `
-                    <p style="text-align: center; color: var(--text-secondary); margin-top: 16px; font-size: 0.875rem;">
-                        <em>Showing top ${displayLimit} results. Total: ${results.length.toLocaleString()} items found.</em>
-                    </p>
-                ` : ''}
-            </div>
-        `;
+    reportError(message) {
+        const error = document.createElement('div');
+        error.className = 'report-error';
+        error.setAttribute('role', 'alert');
+        error.textContent = message;
+        return error;
+    }
 
-        this.resultsContainer.innerHTML = html;
-        this.resultsSection.style.display = 'block';
+    exportReport() {
+        // Charts become images, so the file opens anywhere with no scripts or data attached
+        const copy = this.reportPreview.cloneNode(true);
+        const canvases = this.reportPreview.querySelectorAll('canvas');
+        copy.querySelectorAll('canvas').forEach((canvas, i) => {
+            const image = document.createElement('img');
+            image.src = canvases[i].toDataURL('image/png');
+            image.alt = canvases[i].getAttribute('aria-label') || 'Chart';
+            canvas.replaceWith(image);
+        });
+        const heading = this.reportPreview.querySelector('h1');
+        const title = heading ? heading.textContent : 'Report';
+        const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${this.escapeHtml(title)}</title>
+<style>${REPORT_EXPORT_STYLES}</style>
+</head>
+<body>
+<main class="report">
+${copy.innerHTML}
+<p class="report-footer">Exported ${this.escapeHtml(new Date().toLocaleString())}</p>
+</main>
+</body>
+</html>
+`;
+        this.downloadFile(this.exportFileName('report', 'html'), html, 'text/html');
+    }
+
+    showLoading(show, message = 'Processing your request...') {
+        this.loading.style.display = show ? 'block' : 'none';
+        this.loadingText.textContent = message;
+        this.loadingProgress.hidden = true;
+    }
 
-        // Create chart if configured
-        if (chartConfig && document.getElementById('resultsChart')) {
-            this.createChart(results, chartConfig);
+    showProgress(label, { rows, done, total }) {
+        // CSV progress is measured in bytes read, everything else in rows
+        this.loadingText.textContent = `${label}: ${rows.toLocaleString()} rows`;
+        this.loadingProgress.hidden = !total;
+        if (total) {
+            this.loadingProgress.max = total;
+            this.loadingProgress.value = done;
         }
+    }
 
-        // Scroll to results
-        this.resultsSection.scrollIntoView({ behavior: 'smooth' });
+    showStatus(message, type) {
+        this.status.textContent = message;
+        this.status.className = `status ${type}`;
+        this.status.style.display = 'block';
     }
 
-    generateInsights(results, query) {
-        const insights = [];
-        const q = query.toLowerCase();
+    hideStatus() {
+        this.status.style.display = 'none';
+    }
 
-        if (results.length > 0 && results[0].count !== undefined) {
-            // This is a grouped count query
-            const total = results.reduce((sum, row) => sum + (parseInt(row.count) || 0), 0);
-            insights.push(`Found ${results.length.toLocaleString()} unique software titles`);
-            insights.push(`Total installations across all software: ${total.toLocaleString()}`);
+    autoResizeTextarea() {
+        this.chatInput.style.height = 'auto';
+        this.chatInput.style.height = Math.min(this.chatInput.scrollHeight, 120) + 'px';
+    }
 
-            // Find the most popular software
-            if (results.length > 0) {
-                const topSoftware = results[0];
-                const softwareName = Object.values(topSoftware)[0];
-                const count = topSoftware.count;
-                insights.push(`Most installed software: "${softwareName}" with ${count.toLocaleString()} installations`);
-            }
+    aliasStorageKey() {
+        // Keyed on the columns rather than the file name, so a re-exported file keeps its aliases
+        return `dataExplorer.aliases.${this.currentData.schema.map(col => col.toLowerCase()).join('|')}`;
+    }
 
-            // Show some statistics
-            if (results.length > 5) {
-                const top5Total = results.slice(0, 5).reduce((sum, row) => sum + parseInt(row.count), 0);
-                const percentage = ((top5Total / total) * 100).toFixed(1);
-                insights.push(`Top 5 software titles account for ${percentage}% of all installations`);
-            }
+    loadAliases() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.aliasStorageKey()) || '{}');
+            const aliases = {};
+            this.currentData.schema.forEach(col => {
+                if (Array.isArray(stored[col])) aliases[col] = stored[col].filter(alias => typeof alias === 'string');
+            });
+            return aliases;
+        } catch (error) {
+            console.warn('Could not load column aliases:', error);
+            return {};
         }
+    }
 
-        if (q.includes('avg') || q.includes('average')) {
-            const avgValue = Object.values(results[0])[0];
-            if (!isNaN(avgValue)) {
-                insights.push(`Average value: ${parseFloat(avgValue).toLocaleString()}`);
-            }
+    saveAliases(aliases) {
+        this.aliases = aliases;
+        try {
+            localStorage.setItem(this.aliasStorageKey(), JSON.stringify(aliases));
+        } catch (error) {
+            console.warn('Could not save column aliases:', error);
+            this.showStatus('Aliases will only last until the page is closed', 'error');
         }
+    }
 
-        if (results.length === 1 && Object.keys(results[0]).length === 1) {
-            insights.push(`Single result: ${Object.values(results[0])[0]}`);
+    toggleAliasEditor() {
+        if (!this.aliasEditor.hidden) {
+            this.aliasEditor.hidden = true;
+            return;
         }
 
-        return insights;
+        this.aliasEditor.innerHTML = '';
+        const intro = document.createElement('p');
+        intro.className = 'alias-intro';
+        intro.textContent = 'Add the words your team uses for each column, separated by commas. They are saved in this browser for any file with the same columns.';
+        this.aliasEditor.appendChild(intro);
+
+        const inputs = {};
+        const list = document.createElement('div');
+        list.className = 'alias-list';
+        this.currentData.schema.forEach(col => {
+            const label = document.createElement('label');
+            label.className = 'alias-row';
+
+            const name = document.createElement('span');
+            name.className = 'alias-column';
+            name.textContent = col;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'alias-input';
+            input.placeholder = 'e.g. turnover, net sales';
+            input.value = (this.aliases[col] || []).join(', ');
+            inputs[col] = input;
+
+            label.appendChild(name);
+            label.appendChild(input);
+            list.appendChild(label);
+        });
+        this.aliasEditor.appendChild(list);
+
+        const actions = document.createElement('div');
+        actions.className = 'alias-actions';
+        const save = document.createElement('button');
+        save.type = 'button';
+        save.className = 'btn';
+        save.textContent = 'Save aliases';
+        save.addEventListener('click', () => {
+            const aliases = {};
+            Object.entries(inputs).forEach(([col, input]) => {
+                const words = input.value.split(',').map(alias => alias.trim()).filter(Boolean);
+                if (words.length) aliases[col] = words;
+            });
+            this.saveAliases(aliases);
+            this.aliasEditor.hidden = true;
+            const count = Object.values(aliases).reduce((sum, words) => sum + words.length, 0);
+            this.addMessage(`🏷️ Saved ${count} column ${count === 1 ? 'alias' : 'aliases'}.`, 'ai');
+        });
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'btn btn-secondary';
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', () => { this.aliasEditor.hidden = true; });
+        actions.appendChild(save);
+        actions.appendChild(cancel);
+        this.aliasEditor.appendChild(actions);
+
+        this.aliasEditor.hidden = false;
+        const first = Object.values(inputs)[0];
+        if (first) first.focus();
     }
 
-    extractMetrics(results, columns) {
-        const metrics = [];
-
-        // If single row with numeric values, show as metrics
-        if (results.length === 1) {
-            const row = results[0];
-            Object.entries(row).forEach(([key, value]) => {
-                if (!isNaN(value) && value !== null) {
-                    metrics.push({
-                        label: key.replace(/_/g, ' ').toUpperCase(),
-                        value: parseFloat(value).toLocaleString()
-                    });
-                }
-            });
-        }
+    recallQuestion(e) {
+        if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+        // Only from the first or last line, so the arrows still move the caret inside a longer question
+        const input = this.chatInput;
+        if (e.key === 'ArrowUp' && input.value.slice(0, input.selectionStart).includes('\n')) return;
+        if (e.key === 'ArrowDown' && (!this.historyRecall || input.value.slice(input.selectionEnd).includes('\n'))) return;
+
+        const questions = this.history.map(entry => entry.question).filter((question, i, all) => question && question !== all[i - 1]);
+        if (!questions.length) return;
+        const recall = this.historyRecall || { index: questions.length, draft: input.value };
+        const index = Math.max(0, Math.min(questions.length, recall.index + (e.key === 'ArrowUp' ? -1 : 1)));
+        e.preventDefault();
 
-        return metrics;
+        // Stepping past the newest question brings back whatever was being typed
+        input.value = index === questions.length ? recall.draft : questions[index];
+        input.setSelectionRange(input.value.length, input.value.length);
+        this.historyRecall = index === questions.length ? null : { index, draft: recall.draft };
+        this.autoResizeTextarea();
     }
 
-    determineChartType(results, columns) {
-        console.log('Determining chart type for', results.length, 'results');
+    recordHistory({ question, sql, query, interpretation, rows }) {
+        this.history.push({ question, sql, query, interpretation, rows, at: Date.now() });
+        this.historyRecall = null;
+        if (!this.historyPanel.hidden) this.renderHistoryPanel();
+        this.scheduleSessionSave();
+    }
 
-        // Allow more results for charts, but limit the display
-        if (results.length < 2) return null;
+    loadLibrary() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('dataExplorer.library') || '[]');
+            return Array.isArray(stored) ? stored.map(item => this.libraryEntry(item)).filter(Boolean) : [];
+        } catch (error) {
+            console.warn('Could not load saved queries:', error);
+            return [];
+        }
+    }
 
-        // Check if we have a good candidate for charting
-        const hasStringColumn = columns.some(col =>
-            results.some(row => isNaN(row[col]) && row[col] !== null)
-        );
-        const hasNumericColumn = columns.some(col =>
-            results.some(row => !isNaN(row[col]) && row[col] !== null)
-        );
-
-        console.log('Has string column:', hasStringColumn, 'Has numeric column:', hasNumericColumn);
-
-        if (hasStringColumn && hasNumericColumn && columns.length === 2) {
-            const config = {
-                type: 'bar',
-                labelColumn: columns[0],
-                valueColumn: columns[1]
-            };
-            console.log('Chart config:', config);
-            return config;
+    saveLibrary() {
+        try {
+            localStorage.setItem('dataExplorer.library', JSON.stringify(this.library));
+        } catch (error) {
+            console.warn('Could not save the query library:', error);
+            this.showStatus('Saved queries will only last until the page is closed', 'error');
         }
+    }
 
-        return null;
+    libraryEntry(item) {
+        // Stored and imported entries are rebuilt field by field; a name and SQL are the minimum
+        if (!item || typeof item.name !== 'string' || !item.name.trim() || typeof item.sql !== 'string' || !item.sql.trim()) return null;
+        const interpretation = item.interpretation;
+        return {
+            id: typeof item.id === 'string' ? item.id : `query-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: item.name.trim(),
+            description: typeof item.description === 'string' ? item.description.trim() : '',
+            question: typeof item.question === 'string' && item.question.trim() ? item.question : null,
+            sql: item.sql,
+            query: item.query && typeof item.query === 'object' ? item.query : null,
+            interpretation: interpretation && typeof interpretation.summary === 'string' && typeof interpretation.confidence === 'number'
+                ? { summary: interpretation.summary, confidence: interpretation.confidence }
+                : null,
+            savedAt: Number.isFinite(item.savedAt) ? item.savedAt : Date.now()
+        };
     }
 
-    createChart(results, config) {
-        const ctx = document.getElementById('resultsChart').getContext('2d');
+    saveToLibrary(entry) {
+        const name = window.prompt('Name for this saved query', entry.question || '');
+        if (name === null || !name.trim()) return;
+        const description = window.prompt('Description (optional): what is it for, which report uses it?', '');
 
-        // Limit chart to top 20 results for readability
-        const chartResults = results.slice(0, 20);
-        console.log('Creating chart with', chartResults.length, 'items');
+        this.library.push(this.libraryEntry({ ...entry, name, description: description || '', id: null, savedAt: null }));
+        this.saveLibrary();
+        this.addMessage(`⭐ Saved "${name.trim()}" to your saved queries.`, 'ai');
+        if (!this.historyPanel.hidden) this.renderHistoryPanel();
+    }
 
-        const labels = chartResults.map(row => {
-            let label = row[config.labelColumn];
-            // Truncate long labels
-            if (label && label.length > 30) {
-                label = label.substring(0, 27) + '...';
-            }
-            return label || 'Unknown';
-        });
+    deleteFromLibrary(id) {
+        const entry = this.library.find(saved => saved.id === id);
+        if (!entry || !window.confirm(`Delete the saved query "${entry.name}"?`)) return;
+        this.library = this.library.filter(saved => saved.id !== id);
+        this.saveLibrary();
+        this.renderHistoryPanel();
+    }
 
-        const data = chartResults.map(row => parseFloat(row[config.valueColumn]) || 0);
+    exportLibrary() {
+        // Only what another copy of the app needs; the structured query is tied to this browser's tables
+        const savedQueries = this.library.map(({ name, description, question, sql }) => ({ name, description, question, sql }));
+        this.downloadFile(this.exportFileName('saved-queries', 'json'), JSON.stringify({ savedQueries }, null, 2), 'application/json');
+    }
 
-        console.log('Chart labels:', labels);
-        console.log('Chart data:', data);
+    async importLibrary(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const items = Array.isArray(data) ? data : data && data.savedQueries;
+            if (!Array.isArray(items)) throw new Error('no saved queries were found in it');
+
+            let added = 0;
+            items.forEach(item => {
+                const entry = this.libraryEntry(item && typeof item === 'object' ? { ...item, id: null, query: null } : null);
+                if (!entry || this.library.some(saved => saved.name === entry.name && saved.sql === entry.sql)) return;
+                this.library.push(entry);
+                added++;
+            });
+            this.saveLibrary();
+            const skipped = items.length - added;
+            this.addMessage(`📥 Imported ${added} saved ${added === 1 ? 'query' : 'queries'} from ${file.name}${skipped ? `, skipped ${skipped} already saved or missing a name or SQL` : ''}.`, 'ai');
+            this.renderHistoryPanel();
+        } catch (error) {
+            const reason = error instanceof SyntaxError ? 'it is not a valid JSON file' : error.message;
+            this.showStatus(`Could not import ${file.name}: ${reason}`, 'error');
+        }
+    }
 
-        new Chart(ctx, {
-            type: config.type,
-            data: {
-                labels: labels,
-                datasets: [{
-                    label: 'Count',
-                    data: data,
-                    backgroundColor: 'rgba(102, 126, 234, 0.6)',
-                    borderColor: 'rgba(102, 126, 234, 1)',
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    title: {
-                        display: true,
-                        text: `Top ${chartResults.length} Software Installations`
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: 'Number of Installations'
-                        }
-                    },
-                    x: {
-                        ticks: {
-                            maxRotation: 45,
-                            minRotation: 45
-                        }
-                    }
-                }
+    async runSavedQuery(entry) {
+        if (entry.question) {
+            this.addMessage(entry.question, 'user');
+        } else {
+            this.addMessage(`<pre class="sql-message"><code>${this.escapeHtml(entry.sql)}</code></pre>`, 'user', { html: true });
+        }
+        this.showLoading(true, 'Running query...');
+
+        try {
+            const results = await this.executeQuery(entry.sql);
+            this.conversation.lastQuery = entry.query || null;
+            this.recordHistory({ question: entry.question, sql: entry.sql, query: entry.query, interpretation: entry.interpretation, rows: results.length });
+            this.addMessage(`Ran it again on the current data: ${results.length.toLocaleString()} results`, 'ai');
+            this.displayResults(results, entry.sql, entry.interpretation);
+        } catch (error) {
+            if (error.code === 'CANCELLED') {
+                this.addMessage('Stopped the query. The loaded tables are unchanged.', 'ai');
+            } else if (entry.question) {
+                // The tables have changed since it was asked, but the question may still make sense
+                this.addMessage(`The saved SQL no longer runs (${error.message.replace(/^SQL Error: /, '')}), so I asked the question again.`, 'ai');
+                this.conversation.lastQuery = null;
+                await this.answer(() => this.interpretQuestion(entry.question), entry.question);
+            } else {
+                this.addMessage(`SQL error: ${error.message.replace(/^SQL Error: /, '')}`, 'ai');
             }
-        });
+        } finally {
+            this.showLoading(false);
+        }
     }
 
-    formatCellValue(value) {
-        if (value === null || value === undefined) return '';
-        if (!isNaN(value) && value !== '' && !isNaN(parseFloat(value))) {
-            return parseFloat(value).toLocaleString();
+    toggleHistoryPanel() {
+        if (!this.historyPanel.hidden) {
+            this.historyPanel.hidden = true;
+            return;
         }
-        return value;
+        this.renderHistoryPanel();
+        this.historyPanel.hidden = false;
+        this.historyPanel.querySelector('.history-search').focus();
     }
 
-    showLoading(show) {
-        this.loading.style.display = show ? 'block' : 'none';
-    }
+    renderHistoryPanel() {
+        this.historyPanel.innerHTML = '';
+
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.className = 'alias-input history-search';
+        search.placeholder = 'Search questions, names and SQL';
+        search.setAttribute('aria-label', 'Search history and saved queries');
+        search.value = this.historySearch || '';
+        this.historyPanel.appendChild(search);
+
+        const libraryHeading = document.createElement('div');
+        libraryHeading.className = 'history-heading';
+        const libraryTitle = document.createElement('h3');
+        libraryTitle.textContent = `⭐ Saved queries (${this.library.length})`;
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importLibrary(fileInput.files[0]);
+        });
+        const libraryActions = document.createElement('div');
+        libraryActions.className = 'dataset-actions';
+        [['Export', () => this.exportLibrary()], ['Import', () => fileInput.click()]].forEach(([label, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.textContent = label;
+            button.setAttribute('aria-label', `${label} saved queries`);
+            button.addEventListener('click', handler);
+            libraryActions.appendChild(button);
+        });
+        libraryActions.querySelector('button').disabled = this.library.length === 0;
+        libraryActions.appendChild(fileInput);
+        libraryHeading.appendChild(libraryTitle);
+        libraryHeading.appendChild(libraryActions);
+        this.historyPanel.appendChild(libraryHeading);
+
+        const libraryList = document.createElement('ul');
+        libraryList.className = 'dataset-list';
+        this.historyPanel.appendChild(libraryList);
+
+        const historyTitle = document.createElement('h3');
+        historyTitle.className = 'history-heading';
+        historyTitle.textContent = `🕘 This session (${this.history.length})`;
+        this.historyPanel.appendChild(historyTitle);
+
+        const historyList = document.createElement('ul');
+        historyList.className = 'dataset-list';
+        this.historyPanel.appendChild(historyList);
+
+        const render = () => {
+            this.historySearch = search.value;
+            const words = search.value.toLowerCase().split(/\s+/).filter(Boolean);
+            const matches = (...texts) => {
+                const text = texts.filter(Boolean).join(' ').toLowerCase();
+                return words.every(word => text.includes(word));
+            };
 
-    showStatus(message, type) {
-        this.status.textContent = message;
-        this.status.className = `status ${type}`;
-        this.status.style.display = 'block';
+            libraryList.innerHTML = '';
+            this.library.filter(entry => matches(entry.name, entry.description, entry.question, entry.sql)).forEach(entry => {
+                libraryList.appendChild(this.historyItem(entry.name, entry.description, entry.sql, [
+                    ['Run', () => this.runSavedQuery(entry)],
+                    ['Delete', () => this.deleteFromLibrary(entry.id)]
+                ]));
+            });
+            if (!libraryList.children.length) {
+                libraryList.appendChild(this.historyNote(this.library.length
+                    ? 'No saved queries match.'
+                    : 'Nothing saved yet. Use ⭐ Save query on a result, or Import a file shared by your team. Saved queries are kept in this browser for every session.'));
+            }
+
+            historyList.innerHTML = '';
+            this.history.slice().reverse().filter(entry => matches(entry.question, entry.sql)).forEach(entry => {
+                const rows = `${entry.rows.toLocaleString()} ${entry.rows === 1 ? 'row' : 'rows'} • ${new Date(entry.at).toLocaleString()}`;
+                historyList.appendChild(this.historyItem(entry.question || 'Your SQL', rows, entry.sql, [
+                    ['Run again', () => this.runSavedQuery(entry)],
+                    ['Save', () => this.saveToLibrary(entry)]
+                ]));
+            });
+            if (!historyList.children.length) {
+                historyList.appendChild(this.historyNote(this.history.length ? 'No questions match.' : 'Questions you ask appear here. Press ↑ in the question box to bring back the last one.'));
+            }
+        };
+        search.addEventListener('input', render);
+        render();
     }
 
-    hideStatus() {
-        this.status.style.display = 'none';
+    historyItem(title, meta, sql, buttons) {
+        const item = document.createElement('li');
+        item.className = 'dataset-item';
+
+        const info = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = title;
+        info.appendChild(name);
+        if (meta) {
+            const details = document.createElement('div');
+            details.className = 'dataset-meta';
+            details.textContent = meta;
+            info.appendChild(details);
+        }
+        const code = document.createElement('code');
+        code.className = 'history-sql';
+        code.textContent = sql;
+        info.appendChild(code);
+
+        const actions = document.createElement('div');
+        actions.className = 'dataset-actions';
+        buttons.forEach(([label, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.textContent = label;
+            button.setAttribute('aria-label', `${label}: ${title}`);
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        });
+
+        item.appendChild(info);
+        item.appendChild(actions);
+        return item;
     }
 
-    autoResizeTextarea() {
-        this.chatInput.style.height = 'auto';
-        this.chatInput.style.height = Math.min(this.chatInput.scrollHeight, 120) + 'px';
+    historyNote(text) {
+        const note = document.createElement('li');
+        note.className = 'dataset-meta history-note';
+        note.textContent = text;
+        return note;
     }
 
     showColumnInfo() {
@@ -819,58 +6556,499 @@ class DataExplorer {
         }
 
         const columns = this.currentData.schema;
-        const cleanColumns = columns.map(col =>
-            col.replace('Aggregated: ', '').replace('Installed Software: ', '')
-        );
 
-        const columnMessage = `📋 <strong>Available columns in your data:</strong><br>${cleanColumns.map(col => `<code style="background: var(--background); padding: 2px 6px; border-radius: 4px; font-size: 0.8em;">"${col}"</code>`).join(', ')}`;
-        this.addMessage(columnMessage, 'ai');
+        const describe = (col, i) => `<code style="background: var(--background); padding: 2px 6px; border-radius: 4px; font-size: 0.8em;">"${this.escapeHtml(col)}"</code> <small style="color: var(--text-secondary);">${this.getColumnType(columns[i]).toLowerCase()}</small>`;
+        let columnMessage = `📋 <strong>Available columns in your data:</strong><br>${columns.map(describe).join(', ')}`;
+        if (this.datasets.length > 1) {
+            // One line per table, and how they link up
+            const lines = this.datasets.map(dataset => {
+                const own = columns.map(describe).filter((html, i) => this.columnSource(columns[i]).table === dataset.tableName);
+                return `<strong>${this.escapeHtml(dataset.tableName)}</strong>: ${own.join(', ')}`;
+            });
+            const links = this.relationships.map(link => this.escapeHtml(`${link.from.table}.${link.from.column} = ${link.to.table}.${link.to.column}`));
+            columnMessage = `📋 <strong>Available tables and columns:</strong><br>${lines.join('<br>')}` +
+                (links.length ? `<br>🔗 Questions can combine tables linked by ${links.join(', ')}` : '');
+        }
+        this.addMessage(columnMessage, 'ai', { html: true });
 
-        // Add some helpful examples based on the columns
-        const examples = this.generateColumnExamples(cleanColumns);
+        // Suggestions come from the profile of the table just loaded
+        const profile = Object.values(this.tableProfiles)[0];
+        const examples = profile ? this.profileQuestions(profile) : ['"Show me the top 10 rows"'];
         if (examples.length > 0) {
             const exampleMessage = `💡 Try asking: ${examples.join(' • ')}`;
             this.addMessage(exampleMessage, 'ai');
         }
     }
 
-    generateColumnExamples(columns) {
-        const examples = [];
+    async showProfile(tableName) {
+        if (!tableName) return;
+        this.showLoading(true, `Profiling ${tableName}...`);
+        try {
+            const profile = this.tableProfiles[tableName] || await this.callWorker('profile', { tableName });
+            this.tableProfiles[tableName] = profile;
+            this.renderProfile(profile);
+        } catch (error) {
+            if (error.code !== 'CANCELLED') this.showStatus(`Could not profile ${tableName}: ${error.message}`, 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    renderProfile(profile) {
+        const format = value => typeof value === 'number' ? this.formatInsightNumber(value) : String(value);
+        const percent = count => `${profile.rowCount ? format(count / profile.rowCount * 100) : 0}%`;
+        const julianDate = day => new Date((day - 2440587.5) * 86400000).toISOString().substring(0, 10);
+        this.profileTitle.textContent = `Profile of ${profile.tableName}`;
+        this.profileContainer.innerHTML = '';
+
+        const summary = document.createElement('p');
+        summary.className = 'profile-summary';
+        const notes = [`${profile.rowCount.toLocaleString()} rows`, `${profile.columns.length} columns`];
+        if (profile.duplicateRows) {
+            notes.push(`⚠️ ${profile.duplicateRows.toLocaleString()} ${profile.duplicateRows === 1 ? 'row is an exact copy' : 'rows are exact copies'} of another row`);
+        }
+        summary.textContent = notes.join(' • ');
+        this.profileContainer.appendChild(summary);
+
+        const grid = document.createElement('div');
+        grid.className = 'profile-grid';
+        profile.columns.forEach(column => {
+            const card = document.createElement('div');
+            card.className = 'profile-card';
+
+            const heading = document.createElement('div');
+            heading.className = 'profile-heading';
+            const name = document.createElement('strong');
+            name.textContent = column.name;
+            const type = document.createElement('span');
+            type.className = 'profile-type';
+            type.textContent = column.type.toLowerCase();
+            heading.appendChild(name);
+            heading.appendChild(type);
+            card.appendChild(heading);
+
+            column.flags.forEach(flag => {
+                const badge = document.createElement('span');
+                badge.className = `profile-flag profile-flag-${flag.kind}`;
+                badge.textContent = flag.text;
+                card.appendChild(badge);
+            });
+
+            const stats = [
+                ['Empty', `${percent(column.nulls + column.empties)} (${(column.nulls + column.empties).toLocaleString()})`],
+                ['Distinct', column.distinct.toLocaleString()]
+            ];
+            if (column.stats) {
+                stats.push(['Min', format(column.stats.min)], ['Max', format(column.stats.max)], ['Mean', format(column.stats.mean)],
+                    ['Median', format(column.stats.median)], ['Std dev', format(column.stats.std)]);
+            }
+            if (column.range) {
+                stats.push(['From', column.range.from], ['To', column.range.to], ['Span', `${column.range.days.toLocaleString()} days`]);
+            }
+            const list = document.createElement('dl');
+            list.className = 'profile-stats';
+            stats.forEach(([label, value]) => {
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const detail = document.createElement('dd');
+                detail.textContent = value;
+                list.appendChild(term);
+                list.appendChild(detail);
+            });
+            card.appendChild(list);
+
+            if (column.histogram) {
+                // One bar per bin, scaled to the fullest bin; hovering shows the range and count
+                const { min, max, counts } = column.histogram;
+                const width = (max - min) / counts.length;
+                const label = value => column.range ? julianDate(value) : format(value);
+                const tallest = Math.max(...counts, 1);
+                const chart = document.createElement('div');
+                chart.className = 'profile-histogram';
+                chart.setAttribute('role', 'img');
+                chart.setAttribute('aria-label', `Distribution of ${column.name} from ${label(min)} to ${label(max)}`);
+                counts.forEach((count, i) => {
+                    const bar = document.createElement('div');
+                    bar.className = 'profile-histogram-bar';
+                    bar.style.height = `${Math.max(count ? 4 : 0, count / tallest * 100)}%`;
+                    bar.title = `${label(min + i * width)} – ${label(min + (i + 1) * width)}: ${count.toLocaleString()} rows`;
+                    chart.appendChild(bar);
+                });
+                card.appendChild(chart);
+            }
+
+            if (column.top.length && (!column.stats || column.distinct <= 20)) {
+                const top = document.createElement('ol');
+                top.className = 'profile-top';
+                column.top.forEach(([value, count]) => {
+                    const item = document.createElement('li');
+                    const text = document.createElement('span');
+                    text.className = 'profile-top-value';
+                    text.textContent = value;
+                    text.title = String(value);
+                    const bar = document.createElement('span');
+                    bar.className = 'profile-top-bar';
+                    bar.style.width = `${count / profile.rowCount * 100}%`;
+                    const share = document.createElement('span');
+                    share.className = 'profile-top-count';
+                    share.textContent = `${count.toLocaleString()} (${percent(count)})`;
+                    item.appendChild(text);
+                    item.appendChild(bar);
+                    item.appendChild(share);
+                    top.appendChild(item);
+                });
+                card.appendChild(top);
+            }
+
+            grid.appendChild(card);
+        });
+        this.profileContainer.appendChild(grid);
+        this.profileSection.hidden = false;
+    }
+
+    profileQuestions(profile) {
+        // Built from what the profile found, not from column names: a measure worth adding up,
+        // a column with few enough values to group by, and dates spread over more than a month
+        const display = name => this.currentData.schema.find(col => {
+            const source = this.columnSource(col);
+            return source.table === profile.tableName && source.column === name;
+        }) || name;
+        const usable = column => !column.flags.some(flag => ['id', 'constant', 'empty', 'duplicates'].includes(flag.kind));
+        const filled = column => profile.rowCount - column.nulls - column.empties;
+
+        const measures = profile.columns.filter(column => column.stats && usable(column) && !column.key && column.stats.std > 0);
+        const categories = profile.columns
+            .filter(column => !column.stats && !column.range && usable(column) && column.distinct >= 2 && column.distinct <= 25 && filled(column) >= profile.rowCount / 2)
+            .sort((a, b) => a.distinct - b.distinct);
+        const dates = profile.columns.filter(column => column.range && column.range.days >= 60);
+        const gaps = profile.columns.filter(column => filled(column) < profile.rowCount * 0.95 && filled(column) > 0);
+
+        const measure = measures.length ? display(measures[0].name) : null;
+        const category = categories.length ? display(categories[0].name) : null;
+        const questions = [];
+        if (category) questions.push(measure ? `"Total ${measure} by ${category}"` : `"Count by ${category}"`);
+        if (dates.length) {
+            const days = dates[0].range.days;
+            const [adjective, unit] = days > 3 * 365 ? ['Yearly', 'year'] : days > 120 ? ['Monthly', 'month'] : ['Weekly', 'week'];
+            questions.push(measure ? `"${adjective} ${measure} trend"` : `"Count per ${unit}"`);
+        }
+        if (measure && categories.length > 1) {
+            questions.push(`"Top 5 ${display(categories[1].name)} by ${measure}"`);
+        } else if (measure) {
+            questions.push(`"Average ${measure}"`);
+        }
+        if (gaps.length) questions.push(`"Show records where ${display(gaps[0].name)} is empty"`);
+        if (questions.length < 3) questions.push('"Show me the top 10 rows"');
+        return questions.slice(0, 4);
+    }
 
-        // Look for common column patterns and suggest relevant queries
-        const nameColumns = columns.filter(col =>
-            col.toLowerCase().includes('name') ||
-            col.toLowerCase().includes('title') ||
-            col.toLowerCase().includes('software')
-        );
+    openSessionStore() {
+        // Sessions stay in this browser's IndexedDB: one store for names and chat, one for the database files
+        if (!this.sessionStore) {
+            this.sessionStore = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('This browser has no IndexedDB'));
+                    return;
+                }
+                const request = indexedDB.open(SESSION_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('sessions', { keyPath: 'id' });
+                    request.result.createObjectStore('databases');
+                };
+                request.onsuccess = () => {
+                    // Let go when another tab deletes the database ("Forget everything"), or it waits on this one
+                    request.result.onversionchange = () => {
+                        request.result.close();
+                        this.sessionStore = null;
+                    };
+                    resolve(request.result);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.sessionStore;
+    }
 
-        const categoryColumns = columns.filter(col =>
-            col.toLowerCase().includes('category') ||
-            col.toLowerCase().includes('type') ||
-            col.toLowerCase().includes('status')
-        );
+    async sessionRequest(storeName, mode, run) {
+        const store = await this.openSessionStore();
+        return new Promise((resolve, reject) => {
+            const transaction = store.transaction(storeName, mode);
+            const request = run(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
 
-        if (nameColumns.length > 0) {
-            examples.push(`"Show me a bar chart by ${nameColumns[0]}"`);
+    async loadLatestSession() {
+        try {
+            const sessions = await this.sessionRequest('sessions', 'readonly', store => store.getAll());
+            if (sessions.length) {
+                const latest = sessions.reduce((a, b) => (b.updatedAt > a.updatedAt ? b : a));
+                await this.openSession(latest.id);
+            } else {
+                this.renderSessions();
+            }
+        } catch (error) {
+            // Private windows and some embedded browsers refuse IndexedDB; the app still works, just without saving
+            console.warn('Sessions are not available:', error);
+            this.sessionPanel.hidden = true;
         }
+    }
+
+    scheduleSessionSave({ database = false } = {}) {
+        this.sessionSaveDatabase = this.sessionSaveDatabase || database;
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = setTimeout(() => this.saveSession(), 500);
+    }
+
+    async saveSession() {
+        const database = this.sessionSaveDatabase;
+        this.sessionSaveDatabase = false;
+        // Nothing worth keeping until a table has been loaded
+        if (!this.sessionId && !this.datasets.length) return;
+
+        try {
+            const now = Date.now();
+            const existing = this.sessionId ? await this.sessionRequest('sessions', 'readonly', store => store.get(this.sessionId)) : null;
+            const session = existing || { id: `session-${now}-${Math.random().toString(36).slice(2, 8)}`, createdAt: now, named: false, size: 0 };
+            this.sessionId = session.id;
+            if (!session.named) {
+                session.name = this.datasets.map(dataset => dataset.tableName).join(', ') || 'Empty session';
+            }
+            Object.assign(session, {
+                updatedAt: now,
+                messages: this.messages,
+                lastQuery: this.conversation.lastQuery,
+                lastResult: this.lastResult,
+                history: this.history,
+                dashboard: this.dashboard,
+                report: this.report
+            });
 
-        if (categoryColumns.length > 0) {
-            examples.push(`"Count items by ${categoryColumns[0]}"`);
+            let stored = !database;
+            if (database) {
+                const size = this.snapshot ? this.snapshot.byteLength : 0;
+                if (!(await this.hasRoomFor(size - session.size))) {
+                    this.showStatus('Browser storage is full, so the tables in this session will not survive a page refresh. Delete old sessions to make room.', 'warning');
+                } else {
+                    if (navigator.storage && navigator.storage.persist) navigator.storage.persist();
+                    await this.sessionRequest('databases', 'readwrite', store => store.put(this.snapshot, session.id));
+                    session.size = size;
+                    stored = true;
+                }
+            }
+            // The table list has to describe the saved snapshot, so it only moves on with it; try the tables again next time
+            if (stored) {
+                Object.assign(session, { datasets: this.datasets, relationships: this.relationships });
+            } else {
+                Object.assign(session, { datasets: session.datasets || [], relationships: session.relationships || [] });
+                this.sessionSaveDatabase = true;
+            }
+            await this.sessionRequest('sessions', 'readwrite', store => store.put(session));
+        } catch (error) {
+            if (database) this.sessionSaveDatabase = true;
+            console.warn('Could not save the session:', error);
+            if (error && error.name === 'QuotaExceededError') {
+                this.showStatus('Browser storage is full, so this session could not be saved. Delete old sessions to make room.', 'warning');
+            }
         }
+        this.renderSessions();
+    }
 
-        // Add some generic examples
-        if (columns.length > 0) {
-            examples.push(`"Show me the top 10 rows"`);
-            if (columns.length > 1) {
-                examples.push(`"What are the unique values in ${columns[0]}?"`);
+    async hasRoomFor(bytes) {
+        if (!navigator.storage || !navigator.storage.estimate) return true;
+        const { usage, quota } = await navigator.storage.estimate();
+        // Leave a margin: browsers start evicting before the quota is reached
+        return !quota || usage + bytes < quota * 0.9;
+    }
+
+    async openSession(id) {
+        const [session, snapshot] = await Promise.all([
+            this.sessionRequest('sessions', 'readonly', store => store.get(id)),
+            this.sessionRequest('databases', 'readonly', store => store.get(id))
+        ]);
+        if (!session) return;
+
+        this.showLoading(true, `Opening ${session.name}...`);
+        try {
+            clearTimeout(this.sessionSaveTimer);
+            // A session whose database didn't fit in storage comes back with its chat but without tables
+            const datasets = snapshot ? session.datasets : [];
+            await this.callWorker('init', { snapshot: snapshot || null, datasets });
+            this.sessionId = id;
+            this.snapshot = snapshot || null;
+            this.datasets = datasets;
+            this.relationships = snapshot ? session.relationships : [];
+            this.tableProfiles = {};
+            this.profileSection.hidden = true;
+            this.updateWorkspace();
+            this.conversation.lastQuery = session.lastQuery || null;
+            this.history = session.history || [];
+            this.historyRecall = null;
+            if (!this.historyPanel.hidden) this.renderHistoryPanel();
+            this.dashboard = session.dashboard || this.emptyDashboard();
+            this.renderDashboard();
+            this.report = session.report || '';
+            this.reportEditor.value = this.report;
+            if (!this.reportSection.hidden) this.runReport();
+
+            this.chatMessages.innerHTML = this.welcomeMessage;
+            this.messages = [];
+            session.messages.forEach(message => this.addMessage(message.text, message.sender, { html: message.html }));
+            this.lastResult = null;
+            this.resultsSection.style.display = 'none';
+            if (this.currentData) {
+                this.chatSection.style.display = 'block';
+                // Results aren't stored; the last query is run again on the restored tables
+                if (session.lastResult) {
+                    const results = await this.executeQuery(session.lastResult.sql);
+                    this.displayResults(results, session.lastResult.sql, session.lastResult.interpretation);
+                }
             }
+        } catch (error) {
+            this.showStatus(`Could not open ${session.name}: ${error.message}`, 'error');
+        } finally {
+            this.showLoading(false);
+            this.renderSessions();
+        }
+    }
+
+    async startNewSession() {
+        clearTimeout(this.sessionSaveTimer);
+        if (this.sessionSaveDatabase) await this.saveSession();
+        await this.callWorker('init', { snapshot: null, datasets: [] });
+        this.sessionId = null;
+        this.snapshot = null;
+        this.datasets = [];
+        this.relationships = [];
+        this.tableProfiles = {};
+        this.profileSection.hidden = true;
+        this.messages = [];
+        this.lastResult = null;
+        this.conversation.lastQuery = null;
+        this.history = [];
+        this.historyRecall = null;
+        this.historyPanel.hidden = true;
+        this.dashboard = this.emptyDashboard();
+        this.renderDashboard();
+        this.report = '';
+        this.reportSection.hidden = true;
+        this.chatMessages.innerHTML = this.welcomeMessage;
+        this.updateWorkspace();
+        this.renderSessions();
+    }
+
+    async renameSession(id) {
+        const session = await this.sessionRequest('sessions', 'readonly', store => store.get(id));
+        const name = window.prompt('New name for this session', session.name);
+        if (name === null || !name.trim()) return;
+        session.name = name.trim();
+        session.named = true;
+        await this.sessionRequest('sessions', 'readwrite', store => store.put(session));
+        this.renderSessions();
+    }
+
+    async deleteSession(id) {
+        const session = await this.sessionRequest('sessions', 'readonly', store => store.get(id));
+        if (!window.confirm(`Delete the saved session "${session.name}" and its tables from this browser?`)) return;
+        await this.sessionRequest('databases', 'readwrite', store => store.delete(id));
+        await this.sessionRequest('sessions', 'readwrite', store => store.delete(id));
+        if (id === this.sessionId) {
+            this.sessionId = null;
+            await this.startNewSession();
+        } else {
+            this.renderSessions();
+        }
+    }
+
+    async forgetEverything() {
+        if (!window.confirm('Delete every saved session, table, chat, saved query and column alias from this browser? This cannot be undone.')) return;
+
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveDatabase = false;
+        try {
+            const store = await this.openSessionStore();
+            store.close();
+        } catch (error) {
+            // Nothing was stored
+        }
+        this.sessionStore = null;
+        await new Promise(resolve => {
+            const request = indexedDB.deleteDatabase(SESSION_DB_NAME);
+            request.onsuccess = request.onerror = request.onblocked = () => resolve();
+        });
+        Object.keys(localStorage).filter(key => key.startsWith('dataExplorer.')).forEach(key => localStorage.removeItem(key));
+        this.library = [];
+
+        this.sessionId = null;
+        await this.startNewSession();
+        this.showStatus('Everything this app stored in the browser has been deleted.', 'success');
+    }
+
+    async renderSessions() {
+        let sessions = [];
+        try {
+            sessions = await this.sessionRequest('sessions', 'readonly', store => store.getAll());
+        } catch (error) {
+            this.sessionPanel.hidden = true;
+            return;
+        }
+        sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+
+        this.sessionList.innerHTML = '';
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            item.className = 'dataset-item';
+
+            const info = document.createElement('div');
+            const name = document.createElement('strong');
+            name.textContent = session.id === this.sessionId ? `${session.name} (open)` : session.name;
+            const meta = document.createElement('div');
+            meta.className = 'dataset-meta';
+            const tables = session.datasets.length;
+            meta.textContent = `${tables} ${tables === 1 ? 'table' : 'tables'} • ${this.formatBytes(session.size)} • saved ${new Date(session.updatedAt).toLocaleString()}`;
+            info.appendChild(name);
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'dataset-actions';
+            const buttons = [['Rename', () => this.renameSession(session.id)], ['Delete', () => this.deleteSession(session.id)]];
+            if (session.id !== this.sessionId) buttons.unshift(['Open', () => this.openSession(session.id)]);
+            buttons.forEach(([label, handler]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-secondary';
+                button.textContent = label;
+                button.setAttribute('aria-label', `${label} session ${session.name}`);
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            });
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            this.sessionList.appendChild(item);
+        });
+
+        const notes = sessions.length ? [] : ['Nothing saved yet. A session is saved here once a file is loaded.'];
+        if (navigator.storage && navigator.storage.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            if (quota) notes.push(`Using ${this.formatBytes(usage)} of ${this.formatBytes(quota)} of browser storage.`);
         }
+        this.storageUsage.textContent = notes.join(' ');
+    }
 
-        return examples.slice(0, 3); // Limit to 3 examples
+    formatBytes(bytes) {
+        if (!bytes) return '0 KB';
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
     }
 }
 
-// Initialize the app when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new DataExplorer();
-});
\ No newline at end of file
+// Initialize the app when DOM is loaded; worker.js loads this file too, for the shared helpers
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        new DataExplorer();
+    });
+}
\ No newline at end of file
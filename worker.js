@@ -0,0 +1,493 @@
+// The database lives here so big imports and slow queries don't freeze the page.
+// Requests arrive as { id, type, ...payload } and are answered with { id, result } or { id, error };
+// long jobs also send { id, progress } on the way.
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/sql-wasm.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+    'app.js'
+);
+
+// Type detection, table naming and the SQL checks are shared with the page
+const helpers = Object.create(DataExplorer.prototype);
+helpers.datasets = [];
+
+const CHUNK_BYTES = 4 * 1024 * 1024;
+const BATCH_SIZE = 5000;
+const SAMPLE_ROWS = 20000;
+const VALUE_LIST_LIMIT = 10000;
+
+let SQL = null;
+let db = null;
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+    // One request at a time, so a query never sees a half-imported table
+    const { id, type, ...payload } = event.data;
+    const progress = (details) => self.postMessage({ id, progress: details });
+    queue = queue.then(async () => {
+        try {
+            if (!handlers[type]) throw new Error(`Unknown request: ${type}`);
+            if (!db && type !== 'init') throw new Error('The database engine failed to start');
+            const result = await handlers[type](payload, progress);
+            self.postMessage({ id, result }, result && result.snapshot ? [result.snapshot] : []);
+        } catch (error) {
+            self.postMessage({ id, error: { message: error.message, code: error.code } });
+        }
+    });
+};
+
+const handlers = {
+    async init({ snapshot, datasets }) {
+        // After a cancel, or when a saved session is opened, the page hands over a snapshot and what it knows about each table
+        SQL = SQL || await initSqlJs({
+            locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/${file}`
+        });
+        if (db) db.close();
+        db = snapshot ? new SQL.Database(new Uint8Array(snapshot)) : new SQL.Database();
+        helpers.datasets = datasets || [];
+        registerFunctions();
+        setReadOnly(true);
+    },
+
+    query({ sql, params }) {
+        helpers.validateReadOnlySql(sql);
+        return runQuery(sql, params);
+    },
+
+    async importCSV({ file, options, name, filename }, progress) {
+        // Rows are typed from the first chunk; later values that don't fit are kept as text
+        const reader = helpers.csvRowReader(options);
+        let table = null;
+        await importInto(() => table, async () => {
+            await readCSVChunks(file, options, (rows, errors, done) => {
+                const records = reader.read(rows, errors);
+                if (!table && records.length) table = createTable(name, Object.keys(records[0]), records);
+                if (table) insertRows(table, records);
+                progress({ rows: table ? table.rows : 0, done, total: file.size });
+            });
+        });
+        if (!table) {
+            throw new Error('No data found in file');
+        }
+        return { tables: [finishTable(table, filename)], skipped: reader.skipped, ...saveWorkspace() };
+    },
+
+    async importRecords({ records, name, filename }, progress) {
+        if (!records || records.length === 0) {
+            throw new Error('No data found in file');
+        }
+        let table = null;
+        await importInto(() => table, () => {
+            table = createTable(name, Object.keys(records[0]), records);
+            for (let i = 0; i < records.length; i += BATCH_SIZE) {
+                insertRows(table, records.slice(i, i + BATCH_SIZE));
+                progress({ rows: table.rows, done: table.rows, total: records.length });
+            }
+        });
+        return { tables: [finishTable(table, filename)], ...saveWorkspace() };
+    },
+
+    async importDatabase({ file, filename }, progress) {
+        // Every table in the file comes across; the file itself is never written to
+        const source = new SQL.Database(new Uint8Array(await file.arrayBuffer()));
+        const created = [];
+        try {
+            const names = tableNames(source);
+            const total = names.reduce((sum, name) => sum + source.exec(`SELECT COUNT(*) FROM ${quote(name)}`)[0].values[0][0], 0);
+            let done = 0;
+
+            for (const name of names) {
+                let table = null;
+                await importInto(() => table, () => {
+                    const stmt = source.prepare(`SELECT * FROM ${quote(name)}`);
+                    try {
+                        let batch = [];
+                        const flush = () => {
+                            if (!table) table = createTable(name, Object.keys(batch[0]), batch);
+                            insertRows(table, batch);
+                            done += batch.length;
+                            progress({ rows: done, done, total });
+                            batch = [];
+                        };
+                        while (stmt.step()) {
+                            batch.push(stmt.getAsObject());
+                            if (batch.length >= (table ? BATCH_SIZE : SAMPLE_ROWS)) flush();
+                        }
+                        if (batch.length) flush();
+                    } finally {
+                        stmt.free();
+                    }
+                });
+                if (table) created.push(finishTable(table, `${filename} › ${name}`));
+            }
+        } catch (error) {
+            created.forEach(dropTable);
+            throw error;
+        } finally {
+            source.close();
+        }
+        if (!created.length) {
+            throw new Error('No tables with data found in database');
+        }
+        return { tables: created, ...saveWorkspace() };
+    },
+
+    transform({ sql }) {
+        if (helpers.sqlStatementKind(sql).kind !== 'write') {
+            throw new Error('Only one INSERT, UPDATE, DELETE, CREATE, ALTER or DROP statement can run as a transform.');
+        }
+        setReadOnly(false);
+        let changed;
+        try {
+            db.run(sql);
+            changed = db.getRowsModified();
+        } finally {
+            setReadOnly(true);
+        }
+        refreshDatasets();
+        return { changed, ...saveWorkspace() };
+    },
+
+    rename({ tableName, newName }) {
+        setReadOnly(false);
+        try {
+            db.run(`ALTER TABLE ${quote(tableName)} RENAME TO ${quote(newName)}`);
+        } finally {
+            setReadOnly(true);
+        }
+        helpers.datasets.find(d => d.tableName === tableName).tableName = newName;
+        return saveWorkspace();
+    },
+
+    profile({ tableName }) {
+        return buildProfile(tableName);
+    },
+
+    remove({ tableName }) {
+        setReadOnly(false);
+        try {
+            db.run(`DROP TABLE IF EXISTS ${quote(tableName)}`);
+        } finally {
+            setReadOnly(true);
+        }
+        helpers.datasets = helpers.datasets.filter(d => d.tableName !== tableName);
+        return saveWorkspace();
+    }
+};
+
+function quote(name) {
+    return helpers.quoteIdentifier(name);
+}
+
+function setReadOnly(readOnly) {
+    // A second line of defence: SQLite itself refuses writes while this is on
+    db.run(`PRAGMA query_only = ${readOnly ? 'ON' : 'OFF'}`);
+}
+
+function registerFunctions() {
+    // SQLite has no MEDIAN; pivots and "median price by region" need one
+    db.create_aggregate('median', {
+        init: () => [],
+        step: (values, value) => {
+            if (value !== null && value !== '' && !isNaN(value)) values.push(Number(value));
+            return values;
+        },
+        finalize: (values) => {
+            if (!values.length) return null;
+            values.sort((a, b) => a - b);
+            const middle = Math.floor(values.length / 2);
+            return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+        }
+    });
+}
+
+function runQuery(sql, params = []) {
+    let stmt = null;
+    try {
+        stmt = db.prepare(sql);
+        if (params.length) stmt.bind(params);
+        const results = [];
+
+        while (stmt.step()) {
+            results.push(stmt.getAsObject());
+        }
+
+        return results;
+    } catch (error) {
+        throw new Error(`SQL Error: ${error.message}`);
+    } finally {
+        if (stmt) stmt.free();
+    }
+}
+
+function tableNames(database) {
+    const result = database.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY rowid");
+    return result.length ? result[0].values.map(row => row[0]) : [];
+}
+
+async function readCSVChunks(file, options, onChunk) {
+    // Decode slice by slice and cut after the last line break outside quotes,
+    // so neither a row nor a multi-byte character is split between chunks
+    const decoder = new TextDecoder(options.encoding);
+    let carry = '';
+    for (let start = 0; start < file.size; start += CHUNK_BYTES) {
+        const end = Math.min(start + CHUNK_BYTES, file.size);
+        const bytes = new Uint8Array(await file.slice(start, end).arrayBuffer());
+        const last = end === file.size;
+        const text = carry + decoder.decode(bytes, { stream: !last });
+        const cut = last ? text.length : lastRowBreak(text, options);
+        carry = text.slice(cut);
+        if (cut === 0) continue;
+
+        const result = Papa.parse(text.slice(0, cut), { delimiter: options.delimiter, quoteChar: options.quoteChar, skipEmptyLines: 'greedy' });
+        onChunk(result.data, result.errors, end);
+    }
+}
+
+function lastRowBreak(text, { delimiter, quoteChar }) {
+    // Quotes only open at the start of a field, as in Papa, so an apostrophe in "O'Brien" doesn't count
+    let quoted = false;
+    let cut = 0;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== quoteChar) continue;
+            if (text[i + 1] === quoteChar) {
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === quoteChar && (i === 0 || [delimiter, '\n', '\r'].includes(text[i - 1]))) {
+            quoted = true;
+        } else if (char === '\n') {
+            cut = i + 1;
+        }
+    }
+    return cut;
+}
+
+async function importInto(getTable, fill) {
+    // A failed or empty import leaves no half-filled table behind
+    setReadOnly(false);
+    try {
+        await fill();
+    } catch (error) {
+        const table = getTable();
+        if (table) {
+            table.stmt.free();
+            dropTable(table.tableName);
+        }
+        throw error;
+    } finally {
+        setReadOnly(true);
+    }
+}
+
+function dropTable(tableName) {
+    setReadOnly(false);
+    try {
+        db.run(`DROP TABLE IF EXISTS ${quote(tableName)}`);
+    } finally {
+        setReadOnly(true);
+    }
+    helpers.datasets = helpers.datasets.filter(d => d.tableName !== tableName);
+}
+
+function createTable(name, columns, sample) {
+    const tableName = helpers.uniqueTableName(helpers.sanitizeTableName(name));
+    const { types, dateOrders } = helpers.inferColumnTypes(sample, columns);
+
+    const columnDefs = columns.map(col => `${quote(col)} ${types[col]}`).join(', ');
+    db.run(`CREATE TABLE ${quote(tableName)} (${columnDefs})`);
+
+    const placeholders = columns.map(() => '?').join(', ');
+    const stmt = db.prepare(`INSERT INTO ${quote(tableName)} VALUES (${placeholders})`);
+    // Claim the name now so a second table from the same file can't take it
+    helpers.datasets.push({ tableName, pending: true });
+    return { tableName, columns, types, dateOrders, stmt, rows: 0 };
+}
+
+function insertRows(table, records) {
+    // One transaction per batch: far faster than committing every row, and a failure undoes only the batch
+    db.run('BEGIN');
+    try {
+        for (const row of records) {
+            table.stmt.run(table.columns.map(col => helpers.convertValue(row[col], table.types[col], table.dateOrders[col])));
+        }
+        db.run('COMMIT');
+    } catch (error) {
+        db.run('ROLLBACK');
+        throw error;
+    }
+    table.rows += records.length;
+}
+
+function finishTable(table, filename) {
+    table.stmt.free();
+    helpers.datasets = helpers.datasets.filter(d => d.tableName !== table.tableName);
+    helpers.datasets.push(describeTable(table.tableName, filename, table.types));
+    return table.tableName;
+}
+
+function describeTable(tableName, filename, knownTypes = {}) {
+    const info = db.exec(`PRAGMA table_info(${quote(tableName)})`)[0].values;
+    const types = {};
+    info.forEach(([, name, declared]) => {
+        types[name] = knownTypes[name] || (declared || 'TEXT').toUpperCase();
+    });
+    const schema = info.map(row => row[1]);
+    const rowCount = db.exec(`SELECT COUNT(*) FROM ${quote(tableName)}`)[0].values[0][0];
+    return { tableName, filename, schema, types, rowCount, profile: profileTable(tableName, schema, types) };
+}
+
+function profileTable(tableName, schema, types) {
+    // What the question parser needs without a round trip: the values of text columns, to tell
+    // which column "Europe" belongs to, and the range of each column for years and time grains
+    const profile = {};
+    schema.forEach(col => {
+        const column = quote(col);
+        const [min, max, distinct] = db.exec(`SELECT MIN(${column}), MAX(${column}), COUNT(DISTINCT ${column}) FROM ${quote(tableName)}`)[0].values[0];
+        let values = null;
+        if (types[col] === 'TEXT' && distinct <= VALUE_LIST_LIMIT) {
+            const result = db.exec(`SELECT DISTINCT ${column} FROM ${quote(tableName)} WHERE ${column} IS NOT NULL`);
+            values = result.length ? [...new Set(result[0].values.map(row => String(row[0]).toLowerCase()))] : [];
+        }
+        profile[col] = { min, max, values };
+    });
+    return profile;
+}
+
+function buildProfile(tableName) {
+    // The full picture of one table for the profile panel; unlike profileTable it reads every row of every column
+    const dataset = helpers.datasets.find(d => d.tableName === tableName);
+    if (!dataset) throw new Error(`There is no table called ${tableName}`);
+    const table = quote(tableName);
+    const one = (sql, params = []) => {
+        const result = db.exec(sql, params);
+        return result.length ? result[0].values : [];
+    };
+
+    const rowCount = one(`SELECT COUNT(*) FROM ${table}`)[0][0];
+    const distinctRows = one(`SELECT COUNT(*) FROM (SELECT DISTINCT * FROM ${table})`)[0][0];
+    const columns = dataset.schema.map(col => {
+        const column = quote(col);
+        const type = dataset.types[col];
+        const [nulls, empties, distinct] = one(`SELECT COUNT(*) - COUNT(${column}), COALESCE(SUM(TRIM(${column}) = ''), 0), COUNT(DISTINCT ${column}) FROM ${table}`)[0];
+        const filled = rowCount - nulls - empties;
+        const top = one(`SELECT ${column}, COUNT(*) AS n FROM ${table} WHERE ${column} IS NOT NULL AND TRIM(${column}) <> '' GROUP BY ${column} ORDER BY n DESC, ${column} LIMIT 5`);
+        const profile = { name: col, type, nulls, empties, distinct, top, stats: null, range: null, histogram: null, flags: [] };
+
+        if (helpers.isNumericType(type)) {
+            const numbers = `typeof(${column}) IN ('integer', 'real')`;
+            const [count, min, max, mean, meanSquare] = one(`SELECT COUNT(*), MIN(${column}), MAX(${column}), AVG(${column}), AVG(${column} * ${column}) FROM ${table} WHERE ${numbers}`)[0];
+            if (count) {
+                // The middle value, or the mean of the middle two
+                const middle = one(`SELECT ${column} FROM ${table} WHERE ${numbers} ORDER BY ${column} LIMIT ? OFFSET ?`, [2 - count % 2, Math.floor((count - 1) / 2)]).map(row => row[0]);
+                const median = middle.reduce((sum, value) => sum + value, 0) / middle.length;
+                profile.stats = { min, max, mean, median, std: Math.sqrt(Math.max(0, meanSquare - mean * mean)) };
+                profile.histogram = histogram(table, column, numbers, min, max);
+            }
+        } else if (helpers.isDateType(type)) {
+            const dates = `julianday(${column}) IS NOT NULL`;
+            const [from, to, first, last] = one(`SELECT MIN(${column}), MAX(${column}), MIN(julianday(${column})), MAX(julianday(${column})) FROM ${table} WHERE ${dates}`)[0];
+            if (from !== null) {
+                profile.range = { from, to, days: Math.round(last - first) };
+                profile.histogram = histogram(table, `julianday(${column})`, dates, first, last);
+            }
+        }
+
+        // Flags for things worth knowing before asking questions
+        if (distinct === 0) {
+            profile.flags.push({ kind: 'empty', text: 'Always empty' });
+        } else if (distinct === 1) {
+            profile.flags.push({ kind: 'constant', text: filled === rowCount ? 'Same value in every row' : 'Only one value apart from blanks' });
+        }
+        const keyName = /(^|[_\s])(id|key|code|uuid|no|number)$/i.test(col) || /[a-z]Id$/.test(col);
+        profile.key = keyName;
+        if (distinct === rowCount && rowCount > 1 && type !== 'REAL' && (keyName || (profile.stats && profile.stats.max - profile.stats.min + 1 === rowCount))) {
+            profile.flags.push({ kind: 'id', text: 'Likely an ID: every value is different' });
+        } else if (keyName && distinct > 1 && distinct >= filled * 0.9 && distinct < filled) {
+            profile.flags.push({ kind: 'duplicates', text: `Looks like an ID, but ${(filled - distinct).toLocaleString()} values repeat` });
+        }
+        const kinds = one(`SELECT CASE typeof(${column}) WHEN 'integer' THEN 'number' WHEN 'real' THEN 'number' ELSE typeof(${column}) END AS kind, COUNT(*) FROM ${table} WHERE ${column} IS NOT NULL AND TRIM(${column}) <> '' GROUP BY kind`);
+        if (kinds.length > 1) {
+            profile.flags.push({ kind: 'mixed', text: `Mixed types: ${kinds.map(([kind, n]) => `${n.toLocaleString()} ${kind}`).join(', ')}` });
+        } else if (type === 'TEXT' && filled) {
+            // Typed as text because some values aren't numbers, though most of them are
+            const numeric = one(`SELECT COUNT(*) FROM ${table} WHERE TRIM(${column}) GLOB '*[0-9]*' AND TRIM(${column}) NOT GLOB '*[^0-9.,+-]*'`)[0][0];
+            if (numeric >= filled * 0.5 && numeric < filled) {
+                profile.flags.push({ kind: 'mixed', text: `Mostly numbers, but ${(filled - numeric).toLocaleString()} values are text` });
+            }
+        }
+        return profile;
+    });
+
+    return { tableName, rowCount, duplicateRows: rowCount - distinctRows, columns };
+}
+
+function histogram(table, expression, where, min, max, bins = 12) {
+    if (min === max) return { min, max, counts: [db.exec(`SELECT COUNT(*) FROM ${table} WHERE ${where}`)[0].values[0][0]] };
+    const width = (max - min) / bins;
+    const counts = new Array(bins).fill(0);
+    const result = db.exec(`SELECT MIN(CAST((${expression} - ?) / ? AS INTEGER), ${bins - 1}) AS bin, COUNT(*) FROM ${table} WHERE ${where} GROUP BY bin`, [min, width]);
+    (result.length ? result[0].values : []).forEach(([bin, n]) => { counts[bin] = n; });
+    return { min, max, counts };
+}
+
+function refreshDatasets() {
+    // A transform can change, create or drop any table, so read them all back
+    const names = tableNames(db);
+    const known = {};
+    helpers.datasets.forEach(dataset => { known[dataset.tableName] = dataset; });
+    const ordered = [
+        ...helpers.datasets.map(dataset => dataset.tableName).filter(name => names.includes(name)),
+        ...names.filter(name => !known[name])
+    ];
+
+    helpers.datasets = ordered.map(tableName => {
+        const previous = known[tableName] || { filename: null, types: {} };
+        return describeTable(tableName, previous.filename, previous.types);
+    });
+}
+
+function detectRelationships() {
+    // Two tables are linked by a pair of key-like columns whose values mostly overlap
+    const relationships = [];
+    helpers.datasets.forEach((left, i) => {
+        helpers.datasets.slice(i + 1).forEach(right => {
+            let best = null;
+            left.schema.forEach(leftColumn => right.schema.forEach(rightColumn => {
+                if (!helpers.isJoinKeyPair(left.tableName, leftColumn, right.tableName, rightColumn)) return;
+                const overlap = valueOverlap(left.tableName, leftColumn, right.tableName, rightColumn);
+                if (overlap >= 0.5 && (!best || overlap > best.overlap)) {
+                    best = { from: { table: left.tableName, column: leftColumn }, to: { table: right.tableName, column: rightColumn }, overlap };
+                }
+            }));
+            if (best) relationships.push(best);
+        });
+    });
+    return relationships;
+}
+
+function valueOverlap(leftTable, leftColumn, rightTable, rightColumn) {
+    const left = `SELECT DISTINCT ${quote(leftColumn)} AS v FROM ${quote(leftTable)} WHERE ${quote(leftColumn)} IS NOT NULL`;
+    const right = `SELECT DISTINCT ${quote(rightColumn)} AS v FROM ${quote(rightTable)} WHERE ${quote(rightColumn)} IS NOT NULL`;
+    try {
+        const result = db.exec(`SELECT (SELECT COUNT(*) FROM (${left})), (SELECT COUNT(*) FROM (${right})), (SELECT COUNT(*) FROM (${left}) WHERE v IN (SELECT v FROM (${right})))`);
+        const [leftCount, rightCount, shared] = result[0].values[0];
+        const smaller = Math.min(leftCount, rightCount);
+        return smaller ? shared / smaller : 0;
+    } catch (error) {
+        return 0;
+    }
+}
+
+function saveWorkspace() {
+    // Every change ends with a snapshot the page keeps, so a cancelled job can be rolled back
+    // by starting a new worker from it. Exporting reopens the database, which resets pragmas
+    // and drops the functions registered on it.
+    const snapshot = db.export().buffer;
+    registerFunctions();
+    setReadOnly(true);
+    return { datasets: helpers.datasets, relationships: detectRelationships(), snapshot };
+}